@@ -16,8 +16,12 @@ install_service() {
     # Create installation directory if it doesn't exist
     mkdir -p "$INSTALL_DIR"
 
-    # Sync files from current folder to install dir, ensuring it's a clean copy
-    rsync -av --delete ./ "$INSTALL_DIR/"
+    # Sync files from current folder to install dir, ensuring it's a clean copy.
+    # An existing config.json and the runtime data/ and logs/ are kept.
+    rsync -av --delete --exclude '/.git/' --exclude '/config.json' --exclude '/config.json.*' \
+        --exclude '/data/' --exclude '/logs/' ./ "$INSTALL_DIR/"
+    rsync -av --ignore-existing ./config.json "$INSTALL_DIR/config.json"
+    mkdir -p "$INSTALL_DIR/logs"
 
     # Install dependencies
     cd "$INSTALL_DIR"
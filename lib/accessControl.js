@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+
+// Requests that only read or render, even when sent as POST
+const READ_ONLY_ROUTES = ['POST /preview'];
+// Reads that still need a key: they show the service's settings
+const PROTECTED_READ_ROUTES = ['GET /config'];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Who may use the HTTP API, from config.security:
+//   allowedOrigins  browser origins allowed to call the service ("*" for any).
+//                   Requests without an Origin header (curl, native apps) pass.
+//   apiKeys         keys accepted on state-changing routes and GET /config, as
+//                   plain strings or { "name", "key" }. Clients send
+//                   `X-API-Key: <key>` or `Authorization: Bearer <key>`. With
+//                   no keys configured those routes stay open.
+class AccessControl {
+  constructor(options, logger) {
+    this.logger = logger;
+    this.allowedOrigins = options.allowedOrigins || [];
+    this.apiKeys = (options.apiKeys || []).map((entry, index) => (
+      typeof entry === 'string' ? { name: `key-${index + 1}`, key: entry } : entry
+    ));
+
+    for (const entry of this.apiKeys) {
+      if (!entry.key || typeof entry.key !== 'string') {
+        throw new Error(`security.apiKeys: '${entry.name}' has no key`);
+      }
+    }
+    // Hashing first gives equal-length buffers, so the comparison doesn't leak key lengths
+    this.keyDigests = this.apiKeys.map(entry => ({ name: entry.name, digest: digest(entry.key) }));
+  }
+
+  get authenticationEnabled() {
+    return this.apiKeys.length > 0;
+  }
+
+  isOriginAllowed(origin) {
+    return !origin || this.allowedOrigins.includes('*') || this.allowedOrigins.includes(origin);
+  }
+
+  requiresKey(req) {
+    const route = `${req.method} ${normalizePath(req.path)}`;
+    if (PROTECTED_READ_ROUTES.includes(route)) {
+      return true;
+    }
+    return !READ_METHODS.includes(req.method) && !READ_ONLY_ROUTES.includes(route);
+  }
+
+  // Name of the matching key, or null. Every key is compared so the time taken
+  // doesn't depend on which one matched.
+  findKey(candidate) {
+    if (!candidate) {
+      return null;
+    }
+
+    const candidateDigest = digest(candidate);
+    let match = null;
+    for (const entry of this.keyDigests) {
+      if (crypto.timingSafeEqual(entry.digest, candidateDigest) && !match) {
+        match = entry.name;
+      }
+    }
+    return match;
+  }
+
+  getPresentedKey(req) {
+    const header = req.get('X-API-Key');
+    if (header) {
+      return header;
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1].trim() : null;
+  }
+
+  // Express middleware: rejects unknown origins and, on state-changing routes,
+  // requests without a valid key
+  handle(req, res, next) {
+    const origin = req.headers.origin;
+
+    if (!this.isOriginAllowed(origin)) {
+      this.reject(req, res, 403, `Origin '${origin}' is not allowed`);
+      return;
+    }
+
+    if (!this.authenticationEnabled || !this.requiresKey(req)) {
+      next();
+      return;
+    }
+
+    const presented = this.getPresentedKey(req);
+    const keyName = this.findKey(presented);
+    if (!keyName) {
+      res.set('WWW-Authenticate', 'Bearer');
+      this.reject(req, res, 401, presented ? 'Invalid API key' : 'API key required');
+      return;
+    }
+
+    req.apiKeyName = keyName;
+    next();
+  }
+
+  reject(req, res, statusCode, message) {
+    this.logger.warn('Request rejected', {
+      reason: message,
+      method: req.method,
+      path: req.path,
+      origin: req.headers.origin || null,
+      ip: req.ip,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(statusCode).json({
+      success: false,
+      error: message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Path as Express routes it: case-insensitive and with or without a trailing
+// slash, so "/Config/" must count as "/config"
+function normalizePath(path) {
+  return path.toLowerCase().replace(/\/+$/, '') || '/';
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+module.exports = AccessControl;
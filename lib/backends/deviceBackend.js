@@ -0,0 +1,178 @@
+const fs = require('fs');
+const { readHardwareStatus } = require('../escposStatus');
+const SerialBackend = require('./serialBackend');
+
+const POLL_INTERVAL = 20;
+
+// The device is opened non-blocking: EAGAIN means the printer isn't ready yet,
+// so try again shortly. Resolves to null once `deadline` has passed.
+async function retryWhileBusy(operation, deadline = Infinity) {
+  while (Date.now() < deadline) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (error.code !== 'EAGAIN') {
+        throw error;
+      }
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+  }
+  return null;
+}
+
+// Writes raw ESC/POS bytes straight to a character device such as
+// /dev/usb/lp0, bypassing CUPS. A plain file or FIFO works too, which is
+// handy for testing without a printer.
+class DeviceBackend extends SerialBackend {
+  constructor(options, logger) {
+    super();
+    this.logger = logger;
+    this.name = options.name;
+    this.path = options.path;
+    this.writeTimeout = options.writeTimeout || 5000;
+    this.statusTimeout = options.statusTimeout || 500;
+    this.drawerOpenLevel = options.drawerOpenLevel;
+    this.handle = null;
+    this.isCharacterDevice = false;
+  }
+
+  describe() {
+    return `device ${this.path}`;
+  }
+
+  async getStatus() {
+    try {
+      await fs.promises.access(this.path, fs.constants.W_OK);
+      return 'online';
+    } catch (error) {
+      return 'offline';
+    }
+  }
+
+  // Paper, cover and drawer state via DLE EOT, or null when the device can't
+  // answer (plain files, FIFOs, printers without a status channel). Rejects
+  // when the device fails while being asked.
+  async queryHardwareStatus() {
+    try {
+      const handle = await this.open();
+      if (!this.isCharacterDevice) {
+        return null;
+      }
+
+      return await readHardwareStatus(command => this.requestStatusByte(handle, command), {
+        drawerOpenLevel: this.drawerOpenLevel
+      });
+    } catch (error) {
+      // Start over with a fresh handle, as after a failed write
+      this.close();
+      throw error;
+    }
+  }
+
+  async requestStatusByte(handle, command) {
+    const deadline = Date.now() + this.statusTimeout;
+    if (!(await retryWhileBusy(() => handle.write(command), deadline))) {
+      return null;
+    }
+
+    const buffer = Buffer.alloc(1);
+    while (Date.now() < deadline) {
+      try {
+        const { bytesRead } = await handle.read(buffer, 0, 1, null);
+        if (bytesRead === 1) {
+          return buffer[0];
+        }
+      } catch (error) {
+        if (error.code !== 'EAGAIN') {
+          throw error;
+        }
+      }
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+    return null;
+  }
+
+  // A printer that was unplugged and plugged back in needs a fresh file handle,
+  // so a write that fails before sending anything reopens the device once. After
+  // a timeout or a failure midway part of the receipt may already be on paper,
+  // and writing it again would print that part twice.
+  async writeWithRetry(data) {
+    try {
+      await this.writeOnce(data);
+    } catch (error) {
+      if (!error.nothingWritten) {
+        throw error;
+      }
+      this.logger.warn(`Write to ${this.path} failed, reopening device`, { error: error.message });
+      await this.writeOnce(data);
+    }
+  }
+
+  async writeOnce(data) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Write to ${this.path} timed out after ${this.writeTimeout}ms`);
+        error.code = 'ETIMEDOUT';
+        reject(error);
+      }, this.writeTimeout);
+    });
+
+    const progress = { bytesWritten: 0 };
+    try {
+      await Promise.race([this.writeAll(data, progress), timeout]);
+    } catch (error) {
+      // A timed-out write may still be going through, so it never counts as unsent
+      error.nothingWritten = progress.bytesWritten === 0 && error.code !== 'ETIMEDOUT';
+      // Never reuse a handle that may be stuck in a half-finished write
+      this.close();
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async writeAll(data, progress) {
+    const handle = await this.open();
+
+    while (progress.bytesWritten < data.length) {
+      // Stops with EBADF once a timed-out write closes the handle
+      const { bytesWritten } = await retryWhileBusy(
+        () => handle.write(data, progress.bytesWritten, data.length - progress.bytesWritten)
+      );
+      progress.bytesWritten += bytesWritten;
+    }
+  }
+
+  // usblp allows a single open of the device, so receipts and status queries
+  // share one read-write handle. Appending and never creating: if the printer
+  // is unplugged the open must fail instead of leaving a regular file at the
+  // device path. Non-blocking, so neither a stalled printer nor one that never
+  // answers can tie up a libuv thread.
+  async open() {
+    if (!this.handle) {
+      const handle = await fs.promises.open(
+        this.path,
+        fs.constants.O_RDWR | fs.constants.O_APPEND | fs.constants.O_NONBLOCK
+      );
+      try {
+        this.isCharacterDevice = (await handle.stat()).isCharacterDevice();
+      } catch (error) {
+        await handle.close().catch(() => {});
+        throw error;
+      }
+      this.handle = handle;
+    }
+    return this.handle;
+  }
+
+  async close() {
+    const handle = this.handle;
+    this.handle = null;
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+  }
+}
+
+module.exports = DeviceBackend;
@@ -0,0 +1,186 @@
+const net = require('net');
+const { readHardwareStatus } = require('../escposStatus');
+const SerialBackend = require('./serialBackend');
+
+// Sends raw ESC/POS bytes to a network printer over TCP (port 9100,
+// "JetDirect"/AppSocket), bypassing CUPS. The connection is kept open between
+// jobs, closed after a while without traffic and reopened on demand.
+class NetworkBackend extends SerialBackend {
+  constructor(options, logger) {
+    super();
+    this.logger = logger;
+    this.name = options.name;
+    this.host = options.host;
+    this.port = options.port || 9100;
+    this.connectTimeout = options.connectTimeout || 3000;
+    this.writeTimeout = options.writeTimeout || 5000;
+    this.idleTimeout = options.idleTimeout || 30000;
+    this.statusTimeout = options.statusTimeout || 500;
+    this.drawerOpenLevel = options.drawerOpenLevel;
+    this.socket = null;
+    this.connecting = null;
+    this.pendingStatus = null;
+  }
+
+  describe() {
+    return `network ${this.host}:${this.port}`;
+  }
+
+  async getStatus() {
+    try {
+      await this.connect();
+      return 'online';
+    } catch (error) {
+      return 'offline';
+    }
+  }
+
+  connect() {
+    if (this.socket) {
+      return Promise.resolve(this.socket);
+    }
+    if (this.connecting) {
+      return this.connecting;
+    }
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(new Error(`Connection to ${this.host}:${this.port} timed out after ${this.connectTimeout}ms`));
+      }, this.connectTimeout);
+
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        socket.setKeepAlive(true);
+        // Free the printer for other clients when we have nothing to send
+        socket.setTimeout(this.idleTimeout, () => socket.end());
+        // The printer only talks back when asked for its status
+        socket.on('data', chunk => {
+          if (this.pendingStatus) {
+            this.pendingStatus(chunk[0]);
+          }
+        });
+        this.socket = socket;
+        resolve(socket);
+      });
+
+      socket.once('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      // Any close (idle timeout, printer reset, cable pulled) means reconnect next time
+      socket.once('close', () => {
+        if (this.socket === socket) {
+          this.socket = null;
+        }
+      });
+    });
+
+    // Errors after the connection was made are handled by the next write
+    const connecting = this.connecting;
+    connecting.then(socket => socket.on('error', () => {}), () => {});
+    connecting.then(() => { this.connecting = null; }, () => { this.connecting = null; });
+    return connecting;
+  }
+
+  // Paper, cover and drawer state via DLE EOT, or null when the printer doesn't
+  // answer. Rejects when the connection fails while asking.
+  async queryHardwareStatus() {
+    try {
+      return await readHardwareStatus(command => this.requestStatusByte(command), {
+        drawerOpenLevel: this.drawerOpenLevel
+      });
+    } catch (error) {
+      this.close();
+      throw error;
+    }
+  }
+
+  async requestStatusByte(command) {
+    const socket = await this.connect();
+
+    return new Promise((resolve, reject) => {
+      const finish = (byte) => {
+        clearTimeout(timer);
+        this.pendingStatus = null;
+        resolve(byte);
+      };
+      const timer = setTimeout(() => finish(null), this.statusTimeout);
+
+      this.pendingStatus = finish;
+      socket.write(command, (error) => {
+        if (error) {
+          clearTimeout(timer);
+          this.pendingStatus = null;
+          reject(error);
+        }
+      });
+    });
+  }
+
+  // A printer that was restarted drops our connection, so reconnect once before
+  // giving up, but only when none of the receipt can have reached the printer.
+  // After a timeout or an error midway part of it may already be on paper, and
+  // sending it again would print that part twice.
+  async writeWithRetry(data) {
+    try {
+      await this.writeOnce(data);
+    } catch (error) {
+      if (!error.nothingWritten) {
+        this.close();
+        throw error;
+      }
+      this.logger.warn(`Write to ${this.host}:${this.port} failed, reconnecting`, { error: error.message });
+      this.close();
+      await this.writeOnce(data);
+    }
+  }
+
+  async writeOnce(data) {
+    let socket;
+    try {
+      socket = await this.connect();
+    } catch (error) {
+      error.nothingWritten = true;
+      throw error;
+    }
+
+    if (!socket.writable) {
+      const error = new Error(`Connection to ${this.host}:${this.port} was closed by the printer`);
+      error.nothingWritten = true;
+      throw error;
+    }
+
+    const bytesBefore = socket.bytesWritten;
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(new Error(`Write to ${this.host}:${this.port} timed out after ${this.writeTimeout}ms`));
+      }, this.writeTimeout);
+
+      socket.write(data, (error) => {
+        clearTimeout(timer);
+        if (error) {
+          // Refused outright (EPIPE, ECONNRESET) before any byte went out
+          error.nothingWritten = ['EPIPE', 'ECONNRESET'].includes(error.code) && socket.bytesWritten === bytesBefore;
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  close() {
+    const socket = this.socket;
+    this.socket = null;
+    if (socket) {
+      socket.destroy();
+    }
+  }
+}
+
+module.exports = NetworkBackend;
@@ -0,0 +1,29 @@
+// Base for direct backends that reach the printer over a single channel (a
+// device file, a TCP connection). Receipts and status queries take turns on
+// it, so two jobs never interleave on paper and a status request never lands
+// in the middle of a receipt.
+//
+// Subclasses implement writeWithRetry(data) and queryHardwareStatus().
+class SerialBackend {
+  constructor() {
+    this.writeChain = Promise.resolve();
+  }
+
+  // Run `task` once everything queued before it has finished, failed or not
+  enqueue(task) {
+    const result = this.writeChain.catch(() => {}).then(task);
+    this.writeChain = result;
+    return result;
+  }
+
+  write(data) {
+    return this.enqueue(() => this.writeWithRetry(data));
+  }
+
+  // Paper, cover and drawer state via DLE EOT; see queryHardwareStatus()
+  getHardwareStatus() {
+    return this.enqueue(() => this.queryHardwareStatus());
+  }
+}
+
+module.exports = SerialBackend;
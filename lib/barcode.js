@@ -0,0 +1,112 @@
+// 1D barcodes for ESC/POS printers (GS k, function B).
+
+const SYMBOLOGIES = {
+  CODE128: { m: 73, validate: validateCode128, encode: data => '{B' + data.replace(/\{/g, '{{') },
+  CODE39: { m: 69, validate: validateCode39, encode: data => data },
+  EAN13: { m: 67, validate: data => validateEan(data, 13), encode: data => data },
+  EAN8: { m: 68, validate: data => validateEan(data, 8), encode: data => data }
+};
+
+const HRI_POSITIONS = { none: 0, above: 1, below: 2, both: 3 };
+
+function validateCode128(data) {
+  if (!/^[\x20-\x7E]+$/.test(data)) {
+    return 'CODE128 only encodes printable ASCII characters';
+  }
+  return null;
+}
+
+function validateCode39(data) {
+  if (!/^[0-9A-Z $%+\-./]+$/.test(data)) {
+    return 'CODE39 only encodes digits, uppercase letters, space and $ % + - . /';
+  }
+  return null;
+}
+
+// EAN data may omit the check digit (the printer adds it) or include a correct one
+function validateEan(data, length) {
+  if (!/^\d+$/.test(data) || (data.length !== length - 1 && data.length !== length)) {
+    return `EAN${length} needs ${length - 1} or ${length} digits`;
+  }
+  if (data.length === length && eanCheckDigit(data.slice(0, -1)) !== Number(data[length - 1])) {
+    return `EAN${length} check digit is wrong`;
+  }
+  return null;
+}
+
+function eanCheckDigit(digits) {
+  let sum = 0;
+  // Weights alternate 3, 1 starting from the rightmost digit
+  for (let i = 0; i < digits.length; i++) {
+    const weight = (digits.length - i) % 2 === 1 ? 3 : 1;
+    sum += Number(digits[i]) * weight;
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+function normalizeOptions(options = {}) {
+  return {
+    symbology: String(options.symbology || 'CODE128').toUpperCase(),
+    height: options.height || 80,
+    moduleWidth: options.moduleWidth || 2,
+    hriPosition: options.hriPosition || 'below'
+  };
+}
+
+// Returns an error message, or null when the data and settings can be printed
+function checkBarcode(data, options) {
+  const { symbology, height, moduleWidth, hriPosition } = normalizeOptions(options);
+  const definition = SYMBOLOGIES[symbology];
+
+  if (!definition) {
+    return `Unsupported barcode symbology '${symbology}'. Use one of: ${Object.keys(SYMBOLOGIES).join(', ')}`;
+  }
+  if (!Number.isInteger(height) || height < 1 || height > 255) {
+    return 'Barcode height must be an integer between 1 and 255 dots';
+  }
+  if (!Number.isInteger(moduleWidth) || moduleWidth < 2 || moduleWidth > 6) {
+    return 'Barcode module width must be an integer between 2 and 6';
+  }
+  if (!Object.prototype.hasOwnProperty.call(HRI_POSITIONS, hriPosition)) {
+    return `Barcode HRI position must be one of: ${Object.keys(HRI_POSITIONS).join(', ')}`;
+  }
+  if (typeof data !== 'string' || !data) {
+    return 'Barcode data is empty';
+  }
+
+  const error = definition.validate(data);
+  if (error) {
+    return `Cannot encode '${data}' as ${symbology}: ${error}`;
+  }
+  if (definition.encode(data).length > 255) {
+    return `Cannot encode '${data}' as ${symbology}: data is too long`;
+  }
+  return null;
+}
+
+function barcodeCommand(data, options) {
+  const error = checkBarcode(data, options);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const { symbology, height, moduleWidth, hriPosition } = normalizeOptions(options);
+  const definition = SYMBOLOGIES[symbology];
+  const encoded = Buffer.from(definition.encode(data), 'ascii');
+
+  return Buffer.concat([
+    Buffer.from([0x1D, 0x68, height]),                       // GS h: height in dots
+    Buffer.from([0x1D, 0x77, moduleWidth]),                  // GS w: module width
+    Buffer.from([0x1D, 0x48, HRI_POSITIONS[hriPosition]]),   // GS H: HRI text position
+    Buffer.from([0x1D, 0x66, 0x00]),                         // GS f: HRI font A
+    Buffer.from([0x1D, 0x6B, definition.m, encoded.length]), // GS k m n
+    encoded
+  ]);
+}
+
+module.exports = {
+  SYMBOLOGIES,
+  HRI_POSITIONS,
+  checkBarcode,
+  barcodeCommand
+};
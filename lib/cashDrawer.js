@@ -0,0 +1,50 @@
+const { rawBytes } = require('./codePages');
+const { getReceiptType } = require('./receiptTypes');
+
+// Cash drawer wired to the printer's drawer kick-out (RJ11) port.
+// The printer opens it when it receives ESC p m t1 t2.
+class CashDrawer {
+  constructor(config, printerManager, logger) {
+    this.config = config || {};
+    this.printerManager = printerManager;
+    this.logger = logger;
+  }
+
+  // ESC p m t1 t2: m selects connector pin 2 (0) or 5 (1); t1/t2 are on/off times in 2ms units
+  pulseCommand() {
+    const pin = this.config.pin === 5 ? 1 : 0;
+    const toUnits = (ms, fallback) => Math.min(Math.max(Math.round((ms || fallback) / 2), 1), 255);
+    return rawBytes(Buffer.from([
+      0x1B, 0x70, pin,
+      toUnits(this.config.onTime, 50),
+      toUnits(this.config.offTime, 500)
+    ]));
+  }
+
+  // Sale receipts paid in cash open the drawer once printed
+  shouldOpenFor(receipt) {
+    return Boolean(this.config.enabled) &&
+      this.config.openOnCashPayment !== false &&
+      getReceiptType(receipt) === 'sale' &&
+      String(receipt.paymentMethod).toLowerCase() === 'cash';
+  }
+
+  async open(printerName, reason) {
+    if (!this.config.enabled) {
+      const error = new Error('Cash drawer is disabled in config.json (drawer.enabled)');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const result = await this.printerManager.print(this.pulseCommand(), printerName);
+    this.logger.info('Cash drawer opened', {
+      printer: printerName,
+      reason: reason,
+      pin: this.config.pin === 5 ? 5 : 2,
+      timestamp: new Date().toISOString()
+    });
+    return result;
+  }
+}
+
+module.exports = CashDrawer;
@@ -0,0 +1,205 @@
+// Character tables for the printer code pages.
+//
+// Receipts are built as strings and encoded to bytes on their way to the
+// printer, in the code page configured for that printer. Binary command
+// payloads (raster images, QR data, barcodes) can't go through a character
+// table, so rawBytes carries each of their bytes as a Private Use Area
+// character (U+E000 + byte) that the encoder turns back into that byte.
+
+const RAW_BYTE_BASE = 0xE000;
+
+// Characters for bytes 0x80-0xFF (0x00-0x7F are plain ASCII in every page).
+// '\u0000' marks bytes the code page leaves undefined.
+const CP437_HIGH =
+  'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»' +
+  '░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀' +
+  'αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00A0';
+
+const CP850_HIGH =
+  'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒáíóúñÑªº¿®¬½¼¡«»' +
+  '░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈıÍÎÏ┘┌█▄¦Ì▀' +
+  'ÓßÔÒõÕµþÞÚÛÙýÝ¯´\u00AD±‗¾¶§÷¸°¨·¹³²■\u00A0';
+
+// PC858 is PC850 with the euro sign in place of the dotless i
+const CP858_HIGH = CP850_HIGH.slice(0, 0xD5 - 0x80) + '€' + CP850_HIGH.slice(0xD6 - 0x80);
+
+// Windows-1252: 0x80-0x9F as below, 0xA0-0xFF same as Latin-1
+const CP1252_HIGH =
+  '€\u0000‚ƒ„…†‡ˆ‰Š‹Œ\u0000Ž\u0000\u0000‘’“”•–—˜™š›œ\u0000žŸ' +
+  Array.from({ length: 0x60 }, (_, i) => String.fromCharCode(0xA0 + i)).join('');
+
+// ESC t n numbers follow the Epson table, which most ESC/POS printers share
+const CODE_PAGES = {
+  PC437: { escPosNumber: 0, high: CP437_HIGH },
+  PC850: { escPosNumber: 2, high: CP850_HIGH },
+  PC858: { escPosNumber: 19, high: CP858_HIGH },
+  WPC1252: { escPosNumber: 16, high: CP1252_HIGH }
+};
+
+const DEFAULT_CODE_PAGE = 'PC437';
+
+const byteTables = new Map();
+function getByteTable(codePage) {
+  if (!byteTables.has(codePage)) {
+    const table = new Map();
+    const high = CODE_PAGES[codePage].high;
+    for (let i = 0; i < high.length; i++) {
+      if (high[i] !== '\u0000') {
+        table.set(high[i], 0x80 + i);
+      }
+    }
+    byteTables.set(codePage, table);
+  }
+  return byteTables.get(codePage);
+}
+
+// Stand-ins for characters a code page doesn't have. Accented letters are
+// handled separately by dropping the accent.
+const TRANSLITERATIONS = {
+  '€': 'EUR',
+  '₧': 'Pts',
+  '‚': ',',
+  '„': '"',
+  '“': '"',
+  '”': '"',
+  '‘': "'",
+  '’': "'",
+  '´': "'",
+  '`': "'",
+  '–': '-',
+  '—': '-',
+  '‐': '-',
+  '…': '...',
+  '•': '*',
+  '·': '.',
+  '™': 'TM',
+  '©': '(C)',
+  '®': '(R)',
+  '°': 'o',
+  'º': 'o',
+  'ª': 'a',
+  '×': 'x',
+  '÷': '/',
+  '½': '1/2',
+  '¼': '1/4',
+  '¾': '3/4',
+  '¡': '!',
+  '¿': '?',
+  '«': '"',
+  '»': '"',
+  'ß': 'ss',
+  'æ': 'ae',
+  'Æ': 'AE',
+  'ø': 'o',
+  'Ø': 'O',
+  'œ': 'oe',
+  'Œ': 'OE',
+  'ı': 'i',
+  '\u00A0': ' '
+};
+
+function checkCodePage(codePage) {
+  if (!Object.prototype.hasOwnProperty.call(CODE_PAGES, codePage)) {
+    throw new Error(`Unsupported code page '${codePage}'. Use one of: ${Object.keys(CODE_PAGES).join(', ')}`);
+  }
+}
+
+// Wrap binary data so the encoder passes it through untouched
+function rawBytes(buffer) {
+  let output = '';
+  for (const byte of buffer) {
+    output += String.fromCharCode(RAW_BYTE_BASE + byte);
+  }
+  return output;
+}
+
+// Byte value of a character inside a command: raw bytes from rawBytes, or
+// the plain characters commands are written with. Returns -1 otherwise.
+function rawCharToByte(char) {
+  const code = char.charCodeAt(0);
+  if (code >= RAW_BYTE_BASE && code <= RAW_BYTE_BASE + 0xFF) {
+    return code - RAW_BYTE_BASE;
+  }
+  return code <= 0xFF ? code : -1;
+}
+
+// Replace the rawBytes characters with the characters of the same code, so
+// command parsers (previews) can read binary payloads as one plain string
+function unwrapRawBytes(text) {
+  return text.replace(/[\uE000-\uE0FF]/g, char => String.fromCharCode(char.charCodeAt(0) - RAW_BYTE_BASE));
+}
+
+function encodeChar(char, table, bytes) {
+  const code = char.charCodeAt(0);
+  if (code < 0x80) {
+    bytes.push(code);
+  } else if (table.has(char)) {
+    bytes.push(table.get(char));
+  } else {
+    return false;
+  }
+  return true;
+}
+
+// The closest the code page can get: known stand-ins, then the letter without
+// its accent (Ó -> O), then '?'
+function transliterate(char, table, bytes) {
+  const candidates = [TRANSLITERATIONS[char], char.normalize('NFD').replace(/[\u0300-\u036f]/g, '')];
+
+  for (const candidate of candidates) {
+    if (!candidate || candidate === char) continue;
+    const encoded = [];
+    if (Array.from(candidate).every(part => encodeChar(part, table, encoded))) {
+      bytes.push(...encoded);
+      return;
+    }
+  }
+  bytes.push(0x3F);
+}
+
+// Receipt text to bytes in the given code page. Characters the page lacks are
+// transliterated instead of failing the job.
+function encodeText(text, codePage = DEFAULT_CODE_PAGE) {
+  checkCodePage(codePage);
+  const table = getByteTable(codePage);
+  const bytes = [];
+
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    if (code >= RAW_BYTE_BASE && code <= RAW_BYTE_BASE + 0xFF) {
+      bytes.push(code - RAW_BYTE_BASE);
+    } else if (!encodeChar(char, table, bytes)) {
+      transliterate(char, table, bytes);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// ESC t n for the code page
+function selectCodePageCommand(codePage) {
+  checkCodePage(codePage);
+  return '\x1Bt' + String.fromCharCode(CODE_PAGES[codePage].escPosNumber);
+}
+
+// A whole receipt for one printer: select its code page up front and again
+// after every ESC @, which resets the printer to its default page
+function encodeReceipt(text, codePage = DEFAULT_CODE_PAGE) {
+  const selectCodePage = selectCodePageCommand(codePage);
+  let withCodePage = text.replace(/\x1B@/g, '\x1B@' + selectCodePage);
+  if (!text.startsWith('\x1B@')) {
+    withCodePage = selectCodePage + withCodePage;
+  }
+  return encodeText(withCodePage, codePage);
+}
+
+module.exports = {
+  CODE_PAGES,
+  DEFAULT_CODE_PAGE,
+  checkCodePage,
+  encodeReceipt,
+  encodeText,
+  rawBytes,
+  rawCharToByte,
+  selectCodePageCommand,
+  unwrapRawBytes
+};
@@ -0,0 +1,392 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const { CODE_PAGES } = require('./codePages');
+const { SYMBOLOGIES, HRI_POSITIONS } = require('./barcode');
+const { ERROR_CORRECTION_LEVELS } = require('./qrCode');
+const { DITHERING_METHODS } = require('./rasterImage');
+const { CURRENCY_PRESETS, NEGATIVE_STYLES, SYMBOL_POSITIONS } = require('./currency');
+
+// Shape of config.json, checked at startup and on every reload so a typo is
+// reported with its path instead of surfacing later as a crash. Wrong types
+// and values are errors; keys the service doesn't know are only warnings.
+// Values marked `secret` are masked by redactConfig.
+
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const milliseconds = { type: 'integer', min: 0 };
+const count = { type: 'integer', min: 1 };
+const stringMap = { type: 'object', values: string };
+const currencyPreset = { type: 'string', enum: Object.keys(CURRENCY_PRESETS), ignoreCase: true };
+
+const printerSchema = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', nonEmpty: true },
+    backend: { type: 'string', enum: ['cups', 'device', 'network'] },
+    path: string,
+    host: string,
+    port: { type: 'integer', min: 1, max: 65535 },
+    connectTimeout: milliseconds,
+    writeTimeout: milliseconds,
+    idleTimeout: milliseconds,
+    statusTimeout: milliseconds,
+    statusQuery: boolean,
+    drawerOpenLevel: { type: 'string', enum: ['high', 'low'] },
+    codePage: { type: 'string', enum: Object.keys(CODE_PAGES) },
+    default: boolean,
+    model: string,
+    location: string,
+    receiptLocation: string,
+    description: string
+  },
+  check: printer => {
+    if (printer.backend === 'device' && !printer.path) return ['device printers need a path'];
+    if (printer.backend === 'network' && !printer.host) return ['network printers need a host'];
+    return [];
+  }
+};
+
+// Branding of one location, laid over config.receipt for its receipts
+const locationSchema = {
+  type: 'object',
+  properties: {
+    restaurantName: string,
+    address: string,
+    phone: string,
+    taxIds: { type: 'array', items: string },
+    footerMessage: string,
+    taxLabel: string,
+    logoPath: string,
+    locationNames: { type: 'array', items: string }
+  }
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['server', 'printing', 'receipt', 'logging'],
+  properties: {
+    server: {
+      type: 'object',
+      properties: {
+        port: { type: 'integer', min: 1, max: 65535 },
+        host: string
+      }
+    },
+    printing: {
+      type: 'object',
+      properties: {
+        defaultPrinter: string,
+        printerAliases: stringMap,
+        printers: {
+          type: 'array',
+          items: printerSchema,
+          check: printers => {
+            const names = printers.map(printer => printer && printer.name);
+            const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+            return duplicates.length > 0 ? [`duplicate printer names: ${[...new Set(duplicates)].join(', ')}`] : [];
+          }
+        },
+        codePage: { type: 'string', enum: Object.keys(CODE_PAGES) },
+        paperWidth: count,
+        timeout: milliseconds,
+        retryAttempts: { type: 'integer', min: 0 },
+        retryDelay: milliseconds,
+        maxQueueSize: count,
+        jobHistorySize: count,
+        idempotencyWindow: milliseconds
+      }
+    },
+    receipt: {
+      type: 'object',
+      properties: {
+        restaurantName: string,
+        address: string,
+        phone: string,
+        taxIds: { type: 'array', items: string },
+        footerMessage: string,
+        taxLabel: string,
+        logoPath: string,
+        locations: { type: 'object', values: locationSchema },
+        logoWidth: count,
+        logoDithering: { type: 'string', enum: DITHERING_METHODS },
+        logoThreshold: { type: 'integer', min: 0, max: 255 },
+        paperWidth: count,
+        dateFormat: { type: 'string', enum: ['default', 'short', 'long', 'custom'] },
+        currency: {
+          oneOf: [
+            currencyPreset,
+            {
+              type: 'object',
+              properties: {
+                preset: currencyPreset,
+                symbol: string,
+                symbolPosition: { type: 'string', enum: SYMBOL_POSITIONS },
+                symbolSpace: boolean,
+                thousandsSeparator: string,
+                decimalSeparator: string,
+                decimals: { type: 'integer', min: 0, max: 4 },
+                negativeStyle: { type: 'string', enum: Object.keys(NEGATIVE_STYLES) }
+              }
+            }
+          ]
+        },
+        varianceWarningThreshold: { type: 'number', min: 0 },
+        qr: {
+          type: 'object',
+          properties: {
+            mode: { type: 'string', enum: ['native', 'raster'] },
+            size: { type: 'integer', min: 1, max: 16 },
+            errorCorrection: { type: 'string', enum: Object.keys(ERROR_CORRECTION_LEVELS), ignoreCase: true },
+            templates: {
+              type: 'object',
+              values: {
+                oneOf: [
+                  string,
+                  { type: 'object', required: ['data'], properties: { data: string, label: string } }
+                ]
+              }
+            }
+          }
+        },
+        barcode: {
+          type: 'object',
+          properties: {
+            types: { type: 'array', items: string },
+            symbology: { type: 'string', enum: Object.keys(SYMBOLOGIES), ignoreCase: true },
+            height: { type: 'integer', min: 1, max: 255 },
+            moduleWidth: { type: 'integer', min: 2, max: 6 },
+            hriPosition: { type: 'string', enum: Object.keys(HRI_POSITIONS) }
+          }
+        },
+        templates: {
+          type: 'object',
+          properties: {
+            directory: string,
+            types: stringMap,
+            locations: { type: 'object', values: stringMap }
+          }
+        }
+      }
+    },
+    drawer: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        pin: { type: 'integer', enum: [2, 5] },
+        onTime: { type: 'integer', min: 1, max: 510 },
+        offTime: { type: 'integer', min: 1, max: 510 },
+        openOnCashPayment: boolean
+      }
+    },
+    security: {
+      type: 'object',
+      properties: {
+        allowedOrigins: { type: 'array', items: string },
+        apiKeys: {
+          type: 'array',
+          items: {
+            oneOf: [
+              { type: 'string', nonEmpty: true, secret: true },
+              {
+                type: 'object',
+                required: ['name', 'key'],
+                properties: {
+                  name: { type: 'string', nonEmpty: true },
+                  key: { type: 'string', nonEmpty: true, secret: true }
+                }
+              }
+            ]
+          }
+        }
+      }
+    },
+    storage: {
+      type: 'object',
+      properties: {
+        directory: string,
+        pdfDirectory: string,
+        archiveRetentionDays: count
+      }
+    },
+    logging: {
+      type: 'object',
+      properties: {
+        level: { type: 'string', enum: ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'] },
+        directory: string,
+        maxSize: string,
+        maxFiles: count
+      }
+    }
+  },
+  check: config => {
+    const locations = Object.keys(config.receipt.locations || {});
+    return (config.printing.printers || [])
+      .filter(printer => printer.receiptLocation && !locations.includes(printer.receiptLocation))
+      .map(printer => `printer '${printer.name}' uses receiptLocation '${printer.receiptLocation}', which is not in receipt.locations`);
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function validateValue(value, schema, where, result) {
+  const errorsBefore = result.errors.length;
+
+  if (schema.oneOf) {
+    const match = schema.oneOf
+      .map(option => {
+        const attempt = { errors: [], warnings: [] };
+        validateValue(value, option, where, attempt);
+        return attempt;
+      })
+      .find(attempt => attempt.errors.length === 0);
+    if (match) {
+      result.warnings.push(...match.warnings);
+    } else {
+      result.errors.push(`${where}: must be ${schema.oneOf.map(option => option.type).join(' or ')} in the documented form`);
+    }
+    return;
+  }
+
+  if (!matchesType(value, schema.type)) {
+    result.errors.push(`${where}: must be ${schema.type === 'integer' ? 'a whole number' : `a ${schema.type}`}, got ${typeOf(value)}`);
+    return;
+  }
+
+  if (schema.enum) {
+    const candidate = schema.ignoreCase ? String(value).toUpperCase() : value;
+    if (!schema.enum.includes(candidate)) {
+      result.errors.push(`${where}: must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+    }
+  }
+  if (schema.nonEmpty && !String(value).trim()) {
+    result.errors.push(`${where}: must not be empty`);
+  }
+  if (schema.min !== undefined && value < schema.min) {
+    result.errors.push(`${where}: must be at least ${schema.min}`);
+  }
+  if (schema.max !== undefined && value > schema.max) {
+    result.errors.push(`${where}: must be at most ${schema.max}`);
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        result.errors.push(`${where}.${key}: is required`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.values || (schema.properties && schema.properties[key]);
+      if (childSchema) {
+        validateValue(child, childSchema, `${where}.${key}`, result);
+      } else {
+        result.warnings.push(`${where}.${key}: unknown setting, ignored`);
+      }
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => validateValue(item, schema.items, `${where}[${index}]`, result));
+  }
+
+  if (schema.check && result.errors.length === errorsBefore) {
+    result.errors.push(...schema.check(value).map(message => `${where}: ${message}`));
+  }
+}
+
+// { errors, warnings } for a parsed config object
+function validateConfig(config) {
+  const result = { errors: [], warnings: [] };
+  validateValue(config, CONFIG_SCHEMA, 'config', result);
+  return result;
+}
+
+// Read and validate config.json: { config, warnings }, or an error listing
+// every problem
+function loadConfig(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read configuration ${file}: ${error.message}`);
+  }
+
+  const { errors, warnings } = validateConfig(config);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid configuration ${file}:\n  - ${errors.join('\n  - ')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  return { config, warnings };
+}
+
+// Write a validated config over `file`: the previous version is kept as
+// <file>.bak and the new one goes through a temporary file + rename, so a
+// crash never leaves a half-written config.json
+async function saveConfig(file, config) {
+  const { errors, warnings } = validateConfig(config);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid configuration: ${errors.join('; ')}`);
+    error.errors = errors;
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const tempPath = `${file}.tmp`;
+  await fsp.writeFile(tempPath, JSON.stringify(config, null, 2) + '\n', 'utf8');
+  await fsp.copyFile(file, `${file}.bak`);
+  await fsp.rename(tempPath, file);
+  return { warnings };
+}
+
+const REDACTED = '********';
+
+function redactValue(value, schema) {
+  if (schema.oneOf) {
+    const option = schema.oneOf.find(candidate => {
+      const attempt = { errors: [], warnings: [] };
+      validateValue(value, candidate, '', attempt);
+      return attempt.errors.length === 0;
+    });
+    return option ? redactValue(value, option) : value;
+  }
+  if (schema.secret) {
+    return REDACTED;
+  }
+  if (Array.isArray(value) && schema.items) {
+    return value.map(item => redactValue(item, schema.items));
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const output = {};
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.values || (schema.properties && schema.properties[key]);
+      output[key] = childSchema ? redactValue(child, childSchema) : child;
+    }
+    return output;
+  }
+  return value;
+}
+
+// Copy of the config that is safe to show: API keys and other secrets masked
+function redactConfig(config) {
+  return redactValue(config, CONFIG_SCHEMA);
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  validateConfig,
+  loadConfig,
+  saveConfig,
+  redactConfig
+};
@@ -0,0 +1,83 @@
+// Money amounts as printed on receipts, from config.receipt.currency: a preset
+// name ("COP", "USD") or an object overriding a preset:
+//   { preset, symbol, symbolPosition, symbolSpace, thousandsSeparator,
+//     decimalSeparator, decimals, negativeStyle }
+
+const CURRENCY_PRESETS = {
+  COP: {
+    symbol: '$',
+    symbolPosition: 'before',
+    symbolSpace: false,
+    thousandsSeparator: ',',
+    decimalSeparator: '.',
+    decimals: 0,
+    negativeStyle: 'minus'
+  },
+  USD: {
+    symbol: '$',
+    symbolPosition: 'before',
+    symbolSpace: false,
+    thousandsSeparator: ',',
+    decimalSeparator: '.',
+    decimals: 2,
+    negativeStyle: 'minus'
+  }
+};
+
+const DEFAULT_CURRENCY = 'COP';
+
+const SYMBOL_POSITIONS = ['before', 'after'];
+
+// How -2000 prints with the COP preset
+const NEGATIVE_STYLES = {
+  minus: text => '-' + text, //            -$2,000
+  parentheses: text => `(${text})`, //     ($2,000)
+  'trailing-minus': text => text + '-' //  $2,000-
+};
+
+// Full format for a config.receipt.currency value, defaults filled in from its preset
+function resolveCurrencyFormat(setting = DEFAULT_CURRENCY) {
+  const options = typeof setting === 'string' ? { preset: setting } : setting;
+  const presetName = String(options.preset || DEFAULT_CURRENCY).toUpperCase();
+  if (!CURRENCY_PRESETS[presetName]) {
+    throw new Error(`Unknown currency preset '${options.preset}'. Use one of: ${Object.keys(CURRENCY_PRESETS).join(', ')}`);
+  }
+
+  const format = { ...CURRENCY_PRESETS[presetName] };
+  for (const key of Object.keys(format)) {
+    if (options[key] !== undefined) {
+      format[key] = options[key];
+    }
+  }
+  return format;
+}
+
+// "$1,250,000" for 1250000 with the COP preset. Anything that isn't a finite
+// number prints as zero.
+function formatAmount(amount, format) {
+  const value = Number.isFinite(amount) ? amount : 0;
+  const [integerPart, fractionPart] = Math.abs(value).toFixed(format.decimals).split('.');
+
+  let number = integerPart.replace(/\B(?=(\d{3})+(?!\d))/g, format.thousandsSeparator);
+  if (fractionPart) {
+    number += format.decimalSeparator + fractionPart;
+  }
+
+  const space = format.symbolSpace ? ' ' : '';
+  const text = format.symbolPosition === 'after'
+    ? number + space + format.symbol
+    : format.symbol + space + number;
+
+  // Amounts that round to zero print without a sign
+  const isNegative = value < 0 && /[1-9]/.test(integerPart + (fractionPart || ''));
+  return isNegative ? NEGATIVE_STYLES[format.negativeStyle](text) : text;
+}
+
+module.exports = {
+  CURRENCY_PRESETS,
+  DEFAULT_CURRENCY,
+  NEGATIVE_STYLES,
+  SYMBOL_POSITIONS,
+  formatAmount,
+  resolveCurrencyFormat
+};
@@ -0,0 +1,561 @@
+const sharp = require('sharp');
+const QRCode = require('qrcode');
+const PDFDocument = require('pdfkit');
+const { rawCharToByte, unwrapRawBytes } = require('./codePages');
+
+// Renders the ESC/POS stream built by the formatter into a PNG or PDF that
+// looks like the printed paper, so layouts can be reviewed without printing
+// and documents can be archived or emailed. Only the
+// commands this service emits (plus a few common neighbours) are interpreted;
+// anything else is skipped.
+
+// Printable dots per line at 203 dpi
+const PAPER_DOT_WIDTHS = { '58mm': 384, '80mm': 576 };
+const POINTS_PER_DOT = 72 / 203;
+
+const FONTS = {
+  A: { width: 12, height: 24 },
+  B: { width: 9, height: 17 }
+};
+const MONOSPACE_ADVANCE = 0.602; // DejaVu Sans Mono / Liberation Mono
+const DEFAULT_LINE_SPACING = 30; // ESC 2: 1/6 inch
+const CUT_MARK_HEIGHT = 24;
+const BARCODE_NAMES = { 65: 'UPC-A', 66: 'UPC-E', 67: 'EAN13', 68: 'EAN8', 69: 'CODE39', 73: 'CODE128' };
+const HRI_POSITIONS = ['none', 'above', 'below', 'both'];
+
+function initialState() {
+  return {
+    font: 'A',
+    bold: false,
+    underline: false,
+    widthScale: 1,
+    heightScale: 1,
+    align: 'left',
+    lineSpacing: DEFAULT_LINE_SPACING,
+    barcode: { height: 162, moduleWidth: 3, hri: 'none' },
+    qr: { size: 3, errorCorrection: 'M', data: '' }
+  };
+}
+
+function alignmentFromByte(n) {
+  return ['left', 'center', 'right'][n & 0x03] || 'left';
+}
+
+// Turn the stream into blocks: text lines made of styled runs, images, QR
+// codes, barcodes and cuts
+function parseEscPos(formattedText) {
+  const text = unwrapRawBytes(formattedText);
+  const blocks = [];
+  let state = initialState();
+  let runs = [];
+  let lineAlign = null;
+  let position = 0;
+
+  const byteAt = index => rawCharToByte(text[index] || '\x00');
+
+  const addText = (chars) => {
+    if (lineAlign === null) {
+      lineAlign = state.align; // Alignment only takes effect at the start of a line
+    }
+    const last = runs[runs.length - 1];
+    const style = {
+      font: state.font,
+      bold: state.bold,
+      underline: state.underline,
+      widthScale: state.widthScale,
+      heightScale: state.heightScale
+    };
+    if (last && Object.keys(style).every(key => last[key] === style[key])) {
+      last.text += chars;
+    } else {
+      runs.push({ text: chars, ...style });
+    }
+  };
+
+  const endLine = () => {
+    blocks.push({ type: 'line', runs, align: lineAlign || state.align, lineSpacing: state.lineSpacing });
+    runs = [];
+    lineAlign = null;
+  };
+
+  // Graphics start on a fresh line
+  const flushText = () => {
+    if (runs.length > 0) {
+      endLine();
+    }
+  };
+
+  while (position < text.length) {
+    const char = text[position];
+    const next = text[position + 1];
+
+    if (char === '\x1B') {
+      const n = byteAt(position + 2);
+      switch (next) {
+        case '@':
+          state = initialState();
+          position += 2;
+          continue;
+        case '!':
+          state.font = n & 0x01 ? 'B' : 'A';
+          state.bold = Boolean(n & 0x08);
+          state.heightScale = n & 0x10 ? 2 : 1;
+          state.widthScale = n & 0x20 ? 2 : 1;
+          state.underline = Boolean(n & 0x80);
+          break;
+        case 'E':
+          state.bold = Boolean(n & 0x01);
+          break;
+        case '-':
+          state.underline = (n & 0x03) !== 0;
+          break;
+        case 'M':
+          state.font = n & 0x01 ? 'B' : 'A';
+          break;
+        case 'a':
+          state.align = alignmentFromByte(n);
+          break;
+        case '3':
+          state.lineSpacing = n;
+          break;
+        case '2':
+          state.lineSpacing = DEFAULT_LINE_SPACING;
+          position += 2;
+          continue;
+        case 'd':
+          flushText();
+          for (let i = 0; i < n; i++) {
+            endLine();
+          }
+          break;
+        case 'p':
+          position += 5; // Drawer pulse: ESC p m t1 t2
+          continue;
+        default:
+          // ESC t, ESC R, ESC G and other single-parameter settings that don't change the layout
+          break;
+      }
+      position += 3;
+      continue;
+    }
+
+    if (char === '\x1D') {
+      if (next === '!') {
+        const n = byteAt(position + 2);
+        state.widthScale = (n >> 4) + 1;
+        state.heightScale = (n & 0x07) + 1;
+        position += 3;
+      } else if (next === 'V') {
+        // GS V m, or GS V m n for function B ('A'/'B' or 65/66)
+        const m = byteAt(position + 2);
+        flushText();
+        blocks.push({ type: 'cut' });
+        position += m === 65 || m === 66 ? 4 : 3;
+      } else if (next === 'v' && text[position + 2] === '0') {
+        // GS v 0 m xL xH yL yH d1...dk
+        const header = Array.from(text.substr(position + 3, 5), rawCharToByte);
+        const bytesPerRow = header[1] + (header[2] << 8);
+        const height = header[3] + (header[4] << 8);
+        const start = position + 8;
+        const data = Buffer.from(Array.from(text.substr(start, bytesPerRow * height), rawCharToByte));
+
+        flushText();
+        blocks.push({ type: 'image', width: bytesPerRow * 8, height, bytesPerRow, data, align: state.align });
+        position = start + bytesPerRow * height;
+      } else if (next === '(' && text[position + 2] === 'k') {
+        // GS ( k pL pH cn fn parameters
+        const length = byteAt(position + 3) + (byteAt(position + 4) << 8);
+        const fn = byteAt(position + 6);
+        const end = position + 5 + length;
+
+        if (fn === 0x43) {
+          state.qr.size = byteAt(position + 7);
+        } else if (fn === 0x45) {
+          state.qr.errorCorrection = ['L', 'M', 'Q', 'H'][byteAt(position + 7) - 48] || 'M';
+        } else if (fn === 0x50) {
+          const bytes = Array.from(text.substring(position + 8, end), rawCharToByte);
+          state.qr.data = Buffer.from(bytes).toString('utf8');
+        } else if (fn === 0x51) {
+          flushText();
+          blocks.push({ type: 'qr', ...state.qr, align: state.align });
+        }
+        position = end;
+      } else if (next === 'h' || next === 'w' || next === 'H' || next === 'f') {
+        const n = byteAt(position + 2);
+        if (next === 'h') state.barcode.height = n;
+        if (next === 'w') state.barcode.moduleWidth = n;
+        if (next === 'H') state.barcode.hri = HRI_POSITIONS[n & 0x03];
+        position += 3;
+      } else if (next === 'k') {
+        const m = byteAt(position + 2);
+        let data;
+        if (m >= 65) {
+          // Function B: GS k m n d1...dn
+          const length = byteAt(position + 3);
+          data = text.substr(position + 4, length);
+          position += 4 + length;
+        } else {
+          // Function A: GS k m d1...dk NUL
+          const end = text.indexOf('\x00', position + 3);
+          data = text.substring(position + 3, end === -1 ? text.length : end);
+          position = end === -1 ? text.length : end + 1;
+        }
+        if (m === 73) {
+          data = data.replace(/^\{[ABC]/, '').replace(/\{\{/g, '{');
+        }
+
+        flushText();
+        blocks.push({ type: 'barcode', symbology: BARCODE_NAMES[m] || String(m), data, ...state.barcode, align: state.align });
+      } else {
+        position += 3;
+      }
+      continue;
+    }
+
+    if (char === '\x10' && next === '\x04') {
+      position += 3; // DLE EOT n status request
+      continue;
+    }
+
+    if (char === '\n') {
+      endLine();
+    } else if (char >= ' ') {
+      addText(char);
+    }
+    position += 1;
+  }
+
+  flushText();
+  return blocks;
+}
+
+function runWidth(run) {
+  return FONTS[run.font].width * run.widthScale;
+}
+
+// Break a line that is wider than the paper, like the printer does
+function wrapRuns(runs, dotWidth) {
+  const rows = [[]];
+  let used = 0;
+
+  for (const run of runs) {
+    const charWidth = runWidth(run);
+    for (const char of run.text) {
+      if (used + charWidth > dotWidth && used > 0) {
+        rows.push([]);
+        used = 0;
+      }
+      const row = rows[rows.length - 1];
+      const last = row[row.length - 1];
+      if (last && last.source === run) {
+        last.text += char;
+      } else {
+        row.push({ ...run, text: char, source: run });
+      }
+      used += charWidth;
+    }
+  }
+
+  return rows;
+}
+
+function alignedX(align, width, dotWidth) {
+  if (align === 'center') return Math.max(0, Math.floor((dotWidth - width) / 2));
+  if (align === 'right') return Math.max(0, dotWidth - width);
+  return 0;
+}
+
+// Layout turns blocks into positioned items, in dots, that the PNG and PDF
+// writers draw: text, filled rects, images, placeholders and cut marks
+
+function layoutTextRow(row, align, y, dotWidth) {
+  const width = row.reduce((sum, run) => sum + run.text.length * runWidth(run), 0);
+  const cellHeight = Math.max(...row.map(run => FONTS[run.font].height * run.heightScale));
+  let x = alignedX(align, width, dotWidth);
+  const items = [];
+
+  for (const run of row) {
+    const font = FONTS[run.font];
+    const runDots = run.text.length * runWidth(run);
+    // Characters sit on a common baseline, like mixed sizes on paper
+    const baseline = y + cellHeight - Math.round(font.height * run.heightScale * 0.2);
+
+    if (run.text.trim()) {
+      items.push({
+        kind: 'text',
+        x,
+        baseline,
+        text: run.text,
+        // Monospace glyphs advance ~0.6em, so this fits one character per cell;
+        // double height is a vertical stretch, as on the printer
+        fontSize: runWidth(run) / MONOSPACE_ADVANCE,
+        stretch: run.heightScale / run.widthScale,
+        bold: run.bold
+      });
+    }
+    if (run.underline) {
+      items.push({ kind: 'rect', x, y: baseline + 2, width: runDots, height: run.heightScale * 2 });
+    }
+    x += runDots;
+  }
+
+  return { items, height: cellHeight };
+}
+
+function layoutQr(block, y, dotWidth) {
+  let modules;
+  try {
+    ({ modules } = QRCode.create(block.data, { errorCorrectionLevel: block.errorCorrection }));
+  } catch (error) {
+    return layoutPlaceholder(`QR: ${block.data}`, block.align, y, dotWidth, 8 * 24);
+  }
+
+  const size = block.size;
+  const width = modules.size * size;
+  const left = alignedX(block.align, width, dotWidth);
+  const items = [];
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) {
+        items.push({ kind: 'rect', x: left + col * size, y: y + row * size, width: size, height: size });
+      }
+    }
+  }
+
+  return { items, height: width };
+}
+
+// Approximate width in modules, so the placeholder is about as wide as the real barcode
+function barcodeModules(symbology, data) {
+  switch (symbology) {
+    case 'EAN13':
+    case 'UPC-A':
+      return 95;
+    case 'EAN8':
+      return 67;
+    case 'CODE39':
+      return (data.length + 2) * 16;
+    default:
+      return (data.length + 3) * 11 + 2;
+  }
+}
+
+function layoutPlaceholder(label, align, y, dotWidth, height, width = dotWidth * 0.8) {
+  const boxWidth = Math.min(dotWidth, Math.round(width));
+  const x = alignedX(align, boxWidth, dotWidth);
+  return { items: [{ kind: 'placeholder', x, y, width: boxWidth, height, label }], height };
+}
+
+function layoutBarcode(block, y, dotWidth) {
+  const items = [];
+  let height = 0;
+  const hriRow = (offset) => layoutTextRow([{ text: block.data, ...textStyle() }], block.align, offset, dotWidth);
+
+  if (block.hri === 'above' || block.hri === 'both') {
+    const row = hriRow(y);
+    items.push(...row.items);
+    height += row.height;
+  }
+
+  const bars = layoutPlaceholder(
+    block.symbology,
+    block.align,
+    y + height,
+    dotWidth,
+    block.height,
+    barcodeModules(block.symbology, block.data) * block.moduleWidth
+  );
+  items.push(...bars.items);
+  height += bars.height;
+
+  if (block.hri === 'below' || block.hri === 'both') {
+    const row = hriRow(y + height);
+    items.push(...row.items);
+    height += row.height;
+  }
+
+  return { items, height };
+}
+
+function textStyle() {
+  return { font: 'A', bold: false, underline: false, widthScale: 1, heightScale: 1 };
+}
+
+function layoutBlock(block, y, dotWidth) {
+  switch (block.type) {
+    case 'image': {
+      const x = alignedX(block.align, block.width, dotWidth);
+      return { items: [{ kind: 'image', x, y, ...block }], height: block.height };
+    }
+    case 'qr':
+      return layoutQr(block, y, dotWidth);
+    case 'barcode':
+      return layoutBarcode(block, y, dotWidth);
+    case 'cut':
+      return { items: [{ kind: 'cut', y: y + CUT_MARK_HEIGHT / 2 }], height: CUT_MARK_HEIGHT };
+    default: {
+      if (block.runs.length === 0) {
+        return { items: [], height: block.lineSpacing };
+      }
+
+      const items = [];
+      let height = 0;
+      for (const row of wrapRuns(block.runs, dotWidth)) {
+        const laidOut = layoutTextRow(row, block.align, y + height, dotWidth);
+        items.push(...laidOut.items);
+        height += Math.max(block.lineSpacing, laidOut.height);
+      }
+      return { items, height };
+    }
+  }
+}
+
+function layoutReceipt(text, dotWidth) {
+  const items = [];
+  let y = 0;
+
+  for (const block of parseEscPos(text)) {
+    const laidOut = layoutBlock(block, y, dotWidth);
+    items.push(...laidOut.items);
+    y += laidOut.height;
+  }
+
+  return { width: dotWidth, height: Math.max(1, y), items };
+}
+
+// GS v 0 bitmaps use 1 for black; PNG greyscale uses 0
+function bitmapToPng(image) {
+  const pixels = Buffer.alloc(image.width * image.height);
+  for (let row = 0; row < image.height; row++) {
+    for (let col = 0; col < image.width; col++) {
+      const byte = image.data[row * image.bytesPerRow + (col >> 3)];
+      pixels[row * image.width + col] = byte & (0x80 >> (col & 7)) ? 0 : 255;
+    }
+  }
+
+  return sharp(pixels, { raw: { width: image.width, height: image.height, channels: 1 } }).png().toBuffer();
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+async function svgElement(item, dotWidth) {
+  switch (item.kind) {
+    case 'text':
+      return `<text transform="translate(${item.x} ${item.baseline}) scale(1 ${item.stretch})" font-size="${item.fontSize}"` +
+        `${item.bold ? ' font-weight="bold"' : ''}>${escapeXml(item.text)}</text>`;
+    case 'rect':
+      return `<rect x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}"/>`;
+    case 'image': {
+      const png = await bitmapToPng(item);
+      return `<image x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" ` +
+        `xlink:href="data:image/png;base64,${png.toString('base64')}"/>`;
+    }
+    case 'placeholder': {
+      const { x, y, width, height } = item;
+      return `<rect x="${x + 1}" y="${y + 1}" width="${width - 2}" height="${height - 2}" fill="url(#hatch)" stroke="#000" stroke-width="2"/>` +
+        `<rect x="${x + 8}" y="${y + height / 2 - 14}" width="${width - 16}" height="28" fill="#fff"/>` +
+        `<text x="${x + width / 2}" y="${y + height / 2 + 7}" font-size="18" text-anchor="middle">${escapeXml(item.label)}</text>`;
+    }
+    case 'cut':
+      return `<line x1="0" y1="${item.y}" x2="${dotWidth}" y2="${item.y}" stroke="#000" stroke-width="2" stroke-dasharray="8 6"/>` +
+        `<rect x="${dotWidth / 2 - 28}" y="${item.y - 10}" width="56" height="20" fill="#fff"/>` +
+        `<text x="${dotWidth / 2}" y="${item.y + 6}" font-size="16" text-anchor="middle">CUT</text>`;
+    default:
+      return '';
+  }
+}
+
+// PNG of the receipt at the printer's dot width (one pixel per dot)
+async function renderPng(text, options = {}) {
+  const { width, height, items } = layoutReceipt(text, options.dotWidth || PAPER_DOT_WIDTHS['80mm']);
+  const elements = [];
+  for (const item of items) {
+    elements.push(await svgElement(item, width));
+  }
+
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" xml:space="preserve" ` +
+    `width="${width}" height="${height}" font-family="DejaVu Sans Mono, Liberation Mono, monospace">` +
+    '<defs><pattern id="hatch" width="8" height="8" patternUnits="userSpaceOnUse">' +
+    '<path d="M0 8L8 0" stroke="#999" stroke-width="2"/></pattern></defs>' +
+    `<rect width="${width}" height="${height}" fill="#fff"/>` +
+    elements.join('') +
+    '</svg>';
+
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+async function drawPdfItem(doc, item, dotWidth) {
+  switch (item.kind) {
+    case 'text':
+      doc.save()
+        .translate(item.x, item.baseline)
+        .scale(1, item.stretch)
+        .font(item.bold ? 'Courier-Bold' : 'Courier')
+        .fontSize(item.fontSize)
+        .text(item.text, 0, 0, { lineBreak: false, baseline: 'alphabetic' })
+        .restore();
+      break;
+    case 'rect':
+      doc.rect(item.x, item.y, item.width, item.height).fill('#000');
+      break;
+    case 'image':
+      doc.image(await bitmapToPng(item), item.x, item.y, { width: item.width, height: item.height });
+      break;
+    case 'placeholder':
+      doc.rect(item.x + 1, item.y + 1, item.width - 2, item.height - 2).lineWidth(2).fillAndStroke('#ddd', '#000');
+      doc.fillColor('#000').font('Courier').fontSize(18)
+        .text(item.label, item.x, item.y + item.height / 2 - 9, { width: item.width, align: 'center', lineBreak: false });
+      break;
+    case 'cut':
+      doc.moveTo(0, item.y).lineTo(dotWidth, item.y).lineWidth(2).dash(8, { space: 6 }).stroke().undash();
+      doc.rect(dotWidth / 2 - 28, item.y - 10, 56, 20).fill('#fff');
+      doc.fillColor('#000').font('Courier').fontSize(16)
+        .text('CUT', 0, item.y - 8, { width: dotWidth, align: 'center', lineBreak: false });
+      break;
+    default:
+      break;
+  }
+}
+
+// PDF of the receipt at the paper's real size, with text kept as text
+async function renderPdf(text, options = {}) {
+  const { width, height, items } = layoutReceipt(text, options.dotWidth || PAPER_DOT_WIDTHS['80mm']);
+  const doc = new PDFDocument({
+    size: [width * POINTS_PER_DOT, height * POINTS_PER_DOT],
+    margin: 0,
+    autoFirstPage: true,
+    info: { Title: options.title || 'Receipt', Producer: 'POS Printer Service' }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', resolve);
+    doc.on('error', reject);
+  });
+
+  // Draw in printer dots, like the PNG
+  doc.scale(POINTS_PER_DOT);
+  for (const item of items) {
+    await drawPdfItem(doc, item, width);
+  }
+  doc.end();
+
+  await finished;
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  PAPER_DOT_WIDTHS,
+  parseEscPos,
+  layoutReceipt,
+  renderPng,
+  renderPdf
+};
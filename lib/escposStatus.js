@@ -0,0 +1,78 @@
+// Real-time printer status (DLE EOT n) for backends that can read from the
+// printer. Each request returns one status byte; see the ESC/POS reference
+// for "Transmit real-time status".
+
+const STATUS_REQUESTS = {
+  printer: 1,  // Drawer signal, online/offline
+  offline: 2,  // Cover open, paper feed button, paper end stop, error
+  error: 3,    // Cutter, unrecoverable and auto-recoverable errors
+  paper: 4     // Roll paper near-end and end sensors
+};
+
+function statusRequestCommand(n) {
+  return Buffer.from([0x10, 0x04, n]);
+}
+
+// Status bytes always have bit 1 and bit 4 set, bit 0 and bit 7 cleared
+function isStatusByte(byte) {
+  return (byte & 0x93) === 0x12;
+}
+
+function decodeStatus(bytes, options = {}) {
+  const { printer, offline, error, paper } = bytes;
+  const drawerSignalHigh = Boolean(printer & 0x04);
+
+  return {
+    // Which level means "open" depends on the drawer's switch wiring
+    drawerOpen: options.drawerOpenLevel === 'low' ? !drawerSignalHigh : drawerSignalHigh,
+    coverOpen: Boolean(offline & 0x04),
+    paperOut: Boolean(offline & 0x20) || Boolean(paper & 0x60),
+    paperNearEnd: Boolean(paper & 0x0C),
+    // DLE EOT 3 error bits: 0x04, 0x08, 0x20 and 0x40 (auto-recoverable error)
+    error: Boolean(offline & 0x40) || Boolean(error & 0x6C)
+  };
+}
+
+// Send every status request through `requestByte(command)`, which resolves to
+// the printer's answer or null when it doesn't answer. Returns the decoded
+// status, or null when the printer doesn't support real-time status.
+async function readHardwareStatus(requestByte, options) {
+  const bytes = {};
+
+  for (const [name, n] of Object.entries(STATUS_REQUESTS)) {
+    const byte = await requestByte(statusRequestCommand(n));
+    if (byte === null || !isStatusByte(byte)) {
+      return null;
+    }
+    bytes[name] = byte;
+  }
+
+  return { ...decodeStatus(bytes, options), checkedAt: new Date().toISOString() };
+}
+
+// A printer that is reachable but can't print is reported as offline (or
+// error) so new jobs go to the print queue instead of being lost
+function statusFromHardware(hardware) {
+  if (!hardware) {
+    return { status: 'online', reason: null };
+  }
+  if (hardware.paperOut) {
+    return { status: 'offline', reason: 'paper out' };
+  }
+  if (hardware.coverOpen) {
+    return { status: 'offline', reason: 'cover open' };
+  }
+  if (hardware.error) {
+    return { status: 'error', reason: 'printer error' };
+  }
+  return { status: 'online', reason: null };
+}
+
+module.exports = {
+  STATUS_REQUESTS,
+  statusRequestCommand,
+  isStatusByte,
+  decodeStatus,
+  readHardwareStatus,
+  statusFromHardware
+};
@@ -0,0 +1,60 @@
+// Remembers recent print requests by idempotency key, so a client retrying
+// the same request gets the original job instead of a second receipt.
+// Entries expire after `windowMs`. Only the job ID matters once the request
+// is answered: its current state comes from the job tracker.
+class IdempotencyStore {
+  constructor(options, logger) {
+    this.logger = logger;
+    this.windowMs = options.windowMs || 10 * 60 * 1000;
+    this.entries = new Map();
+  }
+
+  // Promise of the original result, or null when the key is unknown or expired
+  get(key) {
+    this.prune();
+    const entry = this.entries.get(key);
+    return entry ? entry.result : null;
+  }
+
+  // Track a request in flight; concurrent retries share the same promise.
+  // Failed requests are forgotten so the client can simply try again.
+  remember(key, resultPromise) {
+    const entry = { result: resultPromise, jobId: null, createdAt: Date.now() };
+    this.entries.set(key, entry);
+
+    resultPromise.then(result => {
+      entry.jobId = result.jobId;
+    }, () => {
+      this.forget(key, entry);
+    });
+
+    return resultPromise;
+  }
+
+  forget(key, entry = this.entries.get(key)) {
+    if (entry && this.entries.get(key) === entry) {
+      this.entries.delete(key);
+    }
+  }
+
+  // A cancelled or failed job did not print: a reissued request must print again
+  forgetJob(jobId) {
+    for (const [key, entry] of this.entries) {
+      if (entry.jobId === jobId) {
+        this.entries.delete(key);
+        this.logger.info('Idempotency key released', { idempotencyKey: key, jobId });
+      }
+    }
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.windowMs;
+    for (const [key, entry] of this.entries) {
+      if (entry.createdAt < cutoff) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = IdempotencyStore;
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+// Lifecycle of a print request as seen by the service:
+//   queued    - waiting in the offline print queue
+//   sent      - accepted by the printer backend (CUPS job created)
+//   printing  - the printer is working on it
+//   completed - no longer pending at the printer
+//   failed    - formatting or submission failed
+//   cancelled - removed from the print queue or cancelled in CUPS
+const JOB_STATES = ['queued', 'sent', 'printing', 'completed', 'failed', 'cancelled'];
+
+// Keeps the most recent jobs in memory so clients can poll their state.
+// Jobs still waiting in the print queue are re-registered from the queue
+// file on startup, so their IDs stay valid across restarts.
+class JobTracker {
+  constructor(options, logger) {
+    this.logger = logger;
+    this.maxJobs = options.maxJobs || 500;
+    this.jobs = new Map();
+  }
+
+  create({ id, state, printer, type, documentId, createdAt }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: id || crypto.randomUUID(),
+      state: state || 'queued',
+      printer: printer || null,
+      type: type || null,
+      documentId: documentId || null,
+      cupsJobId: null,
+      error: null,
+      createdAt: createdAt || now,
+      updatedAt: now
+    };
+
+    this.jobs.set(job.id, job);
+    this.prune();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  update(id, changes) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+
+    if (changes.state && !JOB_STATES.includes(changes.state)) {
+      throw new Error(`Invalid job state '${changes.state}'`);
+    }
+
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    return job;
+  }
+
+  isFinished(job) {
+    return job.state === 'completed' || job.state === 'failed' || job.state === 'cancelled';
+  }
+
+  // Forget the oldest jobs once the history is full (Map keeps insertion order):
+  // finished ones first, then ones still marked sent or printing, which stay that
+  // way until someone polls them. Queued jobs are kept; the print queue's own
+  // limit bounds them.
+  prune() {
+    const removable = [job => this.isFinished(job), job => job.state !== 'queued'];
+    for (const isRemovable of removable) {
+      for (const [id, job] of this.jobs) {
+        if (this.jobs.size <= this.maxJobs) {
+          return;
+        }
+        if (isRemovable(job)) {
+          this.jobs.delete(id);
+        }
+      }
+    }
+  }
+}
+
+JobTracker.JOB_STATES = JOB_STATES;
+
+module.exports = JobTracker;
@@ -0,0 +1,59 @@
+const fs = require('fs').promises;
+
+// A JSON document on disk, rewritten whole on every change through a
+// temporary file + rename, so a crash never leaves it half-written. Backs the
+// print queue and the receipt archive index.
+class JsonFile {
+  // `name` describes the file in log messages, e.g. "Print queue file"
+  constructor(filePath, { name, logger }) {
+    this.filePath = filePath;
+    this.name = name;
+    this.logger = logger;
+    this.writeChain = Promise.resolve();
+  }
+
+  // Parsed contents, or null when the file doesn't exist yet. An unreadable
+  // file is moved aside to <file>.corrupt-<timestamp> for inspection and also
+  // gives null, so the service starts empty instead of failing.
+  async read() {
+    let contents;
+    try {
+      contents = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      return JSON.parse(contents);
+    } catch (error) {
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      await fs.rename(this.filePath, corruptPath);
+      this.logger.error(`${this.name} is corrupt, starting empty`, {
+        file: corruptPath,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  // Writes are chained so two quick changes can't rename over each other.
+  // `value` is serialized right away; later changes to it aren't written.
+  write(value) {
+    const snapshot = JSON.stringify(value, null, 2);
+
+    this.writeChain = this.writeChain
+      .catch(() => {})
+      .then(async () => {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tempPath, snapshot, 'utf8');
+        await fs.rename(tempPath, this.filePath);
+      });
+
+    return this.writeChain;
+  }
+}
+
+module.exports = JsonFile;
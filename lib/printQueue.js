@@ -0,0 +1,83 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const JsonFile = require('./jsonFile');
+
+// Print jobs waiting for an offline printer, persisted to disk so they
+// survive a service restart. Every change rewrites the queue file (see
+// lib/jsonFile.js), so a crash never leaves a half-written queue.
+class PrintQueue {
+  constructor(options, logger) {
+    this.logger = logger;
+    this.directory = options.directory || './data';
+    this.filePath = path.join(this.directory, 'print-queue.json');
+    this.maxSize = options.maxSize || 10;
+    this.file = new JsonFile(this.filePath, { name: 'Print queue file', logger });
+    this.jobs = [];
+  }
+
+  get length() {
+    return this.jobs.length;
+  }
+
+  isFull() {
+    return this.jobs.length >= this.maxSize;
+  }
+
+  // Read the jobs left over from a previous run
+  async load() {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const jobs = await this.file.read();
+    this.jobs = Array.isArray(jobs) ? jobs : [];
+
+    if (this.jobs.length > this.maxSize) {
+      this.logger.warn(`Print queue holds ${this.jobs.length} jobs, more than maxQueueSize (${this.maxSize})`);
+    }
+
+    this.logger.info(`Loaded print queue with ${this.jobs.length} jobs`, { file: this.filePath });
+    return this.jobs;
+  }
+
+  async enqueue({ id, receipt, printerName, timestamp }) {
+    if (this.isFull()) {
+      throw new Error('Print queue is full');
+    }
+
+    const job = {
+      id: id || crypto.randomUUID(),
+      receipt,
+      printerName,
+      timestamp: timestamp || Date.now()
+    };
+
+    this.jobs.push(job);
+    await this.persist();
+    return job;
+  }
+
+  list() {
+    return [...this.jobs];
+  }
+
+  find(id) {
+    return this.jobs.find(job => job.id === id) || null;
+  }
+
+  async remove(id) {
+    const job = this.find(id);
+    if (!job) {
+      return null;
+    }
+
+    this.jobs = this.jobs.filter(queued => queued.id !== id);
+    await this.persist();
+    return job;
+  }
+
+  persist() {
+    return this.file.write(this.jobs);
+  }
+}
+
+module.exports = PrintQueue;
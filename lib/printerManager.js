@@ -1,23 +1,153 @@
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const fs = require('fs').promises;
-const path = require('path');
-const os = require('os');
-
-const execAsync = promisify(exec);
+const { spawn } = require('child_process');
+const DeviceBackend = require('./backends/deviceBackend');
+const NetworkBackend = require('./backends/networkBackend');
+const { DEFAULT_CODE_PAGE, checkCodePage, encodeReceipt } = require('./codePages');
+const { statusFromHardware } = require('./escposStatus');
+
+// CUPS queue names are printable characters except spaces, '/', '\\', '#' and
+// quotes (lpadmin's rules); a leading '-' would read as an option
+const PRINTER_NAME_PATTERN = /^[^\s/\\#'"-][^\s/\\#'"]{0,126}$/;
+const JOB_ID_PATTERN = /^\d{1,10}$/;
+
+// Run a CUPS command without a shell: each argument reaches the program as is,
+// so printer names and job IDs can't be read as shell syntax. `input` is
+// streamed to the command's stdin. Output is forced to English so parsing
+// works in any locale.
+function runCommand(command, args, { input, timeout = 10000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      env: { ...process.env, LC_ALL: 'C' },
+      timeout
+    });
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        resolve({ stdout, stderr });
+        return;
+      }
+      const reason = stderr.trim() || (signal ? `killed by ${signal}` : `exit code ${code}`);
+      const error = new Error(`${command} failed: ${reason}`);
+      error.stdout = stdout;
+      error.stderr = stderr;
+      reject(error);
+    });
+
+    // A command that exits early closes stdin; the exit code tells what happened
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
 
 class PrinterManager {
-  constructor(logger) {
+  constructor(logger, config = {}) {
     this.logger = logger;
+    this.config = config;
     this.printers = [];
     this.defaultPrinter = null;
     this.cupsAvailable = false;
+    this.checkCodePages();
+    // Printers configured in printing.printers that bypass CUPS, by name
+    this.backends = this.createBackends();
+  }
+
+  // Apply a reloaded printing config: direct printers are rebuilt from it (the
+  // old connections closed) and the printer list refreshed. On error the
+  // running config stays in place.
+  async updateConfig(config) {
+    const previous = { config: this.config, backends: this.backends };
+
+    try {
+      this.config = config;
+      this.checkCodePages();
+      this.backends = this.createBackends();
+    } catch (error) {
+      this.config = previous.config;
+      this.backends = previous.backends;
+      throw error;
+    }
+
+    for (const backend of previous.backends.values()) {
+      await backend.close();
+    }
+
+    // Picked again by refreshPrinters, in case the old default was removed
+    this.defaultPrinter = null;
+    await this.refreshPrinters();
+  }
+
+  // Fail at startup rather than on the first receipt
+  checkCodePages() {
+    if (this.config.codePage) {
+      checkCodePage(this.config.codePage);
+    }
+    for (const entry of this.config.printers || []) {
+      if (entry.codePage) {
+        try {
+          checkCodePage(entry.codePage);
+        } catch (error) {
+          throw new Error(`Printer '${entry.name}': ${error.message}`);
+        }
+      }
+    }
+  }
+
+  // Code page a printer's receipts are encoded in: its printing.printers entry
+  // (CUPS queues can have one too), then printing.codePage, then PC437
+  getCodePage(printerName) {
+    const entry = (this.config.printers || []).find(printer => printer.name === printerName);
+    return (entry && entry.codePage) || this.config.codePage || DEFAULT_CODE_PAGE;
+  }
+
+  // Branding profile (a key of receipt.locations) for receipts printed here
+  // that don't name their location, from the printer's printing.printers entry
+  getReceiptLocation(printerName) {
+    const entry = (this.config.printers || []).find(printer => printer.name === printerName);
+    return (entry && entry.receiptLocation) || null;
+  }
+
+  // Printers listed in config.printing.printers with a backend other than "cups"
+  getDirectPrinterConfigs() {
+    return (this.config.printers || []).filter(entry => entry.backend && entry.backend !== 'cups');
+  }
+
+  createBackends() {
+    const backends = new Map();
+    for (const entry of this.getDirectPrinterConfigs()) {
+      backends.set(entry.name, this.createBackend(entry));
+    }
+    return backends;
+  }
+
+  createBackend(entry) {
+    switch (entry.backend) {
+      case 'device':
+        return new DeviceBackend(entry, this.logger);
+      case 'network':
+        return new NetworkBackend(entry, this.logger);
+      default:
+        throw new Error(`Printer '${entry.name}': unknown backend '${entry.backend}'`);
+    }
   }
 
   async initialize() {
     try {
       // Check if CUPS is available
-      await this.checkCupsAvailability();
+      try {
+        await this.checkCupsAvailability();
+      } catch (cupsError) {
+        // Directly attached printers keep working without CUPS
+        if (this.backends.size === 0) {
+          throw cupsError;
+        }
+        this.logger.warn('Continuing without CUPS, only direct printers are available', {
+          printers: [...this.backends.keys()]
+        });
+      }
       
       // Get initial list of printers
       await this.refreshPrinters();
@@ -31,11 +161,8 @@ class PrinterManager {
 
     async checkCupsAvailability() {
     try {
-      // Check if lpstat command is available (part of CUPS)
-      await execAsync('which lpstat');
-      
-      // Force English output so parsing works in any locale
-      const { stdout } = await execAsync('LC_ALL=C lpstat -r');
+      // Fails with ENOENT when lpstat (part of CUPS) isn't installed
+      const { stdout } = await runCommand('lpstat', ['-r']);
       
       if (stdout.toLowerCase().includes('scheduler is running')) {
         this.cupsAvailable = true;
@@ -52,43 +179,12 @@ class PrinterManager {
 
   async refreshPrinters() {
     try {
-      if (!this.cupsAvailable) {
+      if (!this.cupsAvailable && this.backends.size === 0) {
         throw new Error('CUPS not available');
       }
 
-      // Get list of all printers - Force English output
-      const { stdout: printerList } = await execAsync('LC_ALL=C lpstat -p');
-      const { stdout: defaultPrinter } = await execAsync('LC_ALL=C lpstat -d').catch(() => ({ stdout: '' }));
-      
-      // Parse printer list
-      this.printers = [];
-      const printerLines = printerList.split('\n').filter(line => line.trim());
-      
-      for (const line of printerLines) {
-        const match = line.match(/printer (\S+) (.+)/);
-        if (match) {
-          const name = match[1];
-          const statusText = match[2];
-          
-          // Get detailed printer info
-          const info = await this.getPrinterInfo(name);
-          
-          const printer = {
-            name: name,
-            status: this.parsePrinterStatus(statusText),
-            isDefault: defaultPrinter.includes(name),
-            model: info.model || 'Unknown',
-            location: info.location || '',
-            description: info.description || ''
-          };
-          
-          this.printers.push(printer);
-          
-          if (printer.isDefault) {
-            this.defaultPrinter = name;
-          }
-        }
-      }
+      this.printers = this.cupsAvailable ? await this.getCupsPrinters() : [];
+      this.printers.push(...(await this.getDirectPrinters()));
 
       // If no default printer set, use first available online printer
       if (!this.defaultPrinter && this.printers.length > 0) {
@@ -100,7 +196,7 @@ class PrinterManager {
       }
 
       this.logger.info(`Found ${this.printers.length} printers`, {
-        printers: this.printers.map(p => ({ name: p.name, status: p.status })),
+        printers: this.printers.map(p => ({ name: p.name, status: p.status, statusReason: p.statusReason, backend: p.backend })),
         defaultPrinter: this.defaultPrinter
       });
 
@@ -110,11 +206,95 @@ class PrinterManager {
     }
   }
 
+  async getCupsPrinters() {
+    // Get list of all printers
+    const { stdout: printerList } = await runCommand('lpstat', ['-p']);
+    const { stdout: defaultPrinter } = await runCommand('lpstat', ['-d']).catch(() => ({ stdout: '' }));
+    
+    // Parse printer list
+    const printers = [];
+    const printerLines = printerList.split('\n').filter(line => line.trim());
+    
+    for (const line of printerLines) {
+      const match = line.match(/printer (\S+) (.+)/);
+      if (match && this.isValidPrinterName(match[1])) {
+        const name = match[1];
+        const statusText = match[2];
+        
+        // Get detailed printer info
+        const info = await this.getPrinterInfo(name);
+        
+        const printer = {
+          name: name,
+          status: this.parsePrinterStatus(statusText),
+          isDefault: defaultPrinter.includes(name),
+          model: info.model || 'Unknown',
+          location: info.location || '',
+          description: info.description || '',
+          backend: 'cups',
+          statusReason: null,
+          hardware: null // CUPS doesn't pass the printer's status bytes through
+        };
+        
+        printers.push(printer);
+        
+        if (printer.isDefault) {
+          this.defaultPrinter = name;
+        }
+      }
+    }
+
+    return printers;
+  }
+
+  async getDirectPrinters() {
+    const printers = [];
+
+    for (const entry of this.getDirectPrinterConfigs()) {
+      const backend = this.backends.get(entry.name);
+      let status = await backend.getStatus();
+      let statusReason = status === 'online' ? null : 'not reachable';
+      let hardware = null;
+
+      // CUPS reports "idle" even without paper, so ask the printer itself
+      if (status === 'online' && entry.statusQuery !== false) {
+        try {
+          hardware = await backend.getHardwareStatus();
+          ({ status, reason: statusReason } = statusFromHardware(hardware));
+        } catch (error) {
+          // Reachable but not answering sensibly: don't send receipts into it
+          this.logger.warn(`Could not read status from ${backend.describe()}`, { error: error.message });
+          status = 'error';
+          statusReason = 'status query failed';
+        }
+      }
+
+      const printer = {
+        name: entry.name,
+        status,
+        statusReason,
+        hardware,
+        isDefault: Boolean(entry.default),
+        model: entry.model || 'Unknown',
+        location: entry.location || '',
+        description: entry.description || backend.describe(),
+        backend: entry.backend
+      };
+
+      printers.push(printer);
+
+      if (printer.isDefault) {
+        this.defaultPrinter = printer.name;
+      }
+    }
+
+    return printers;
+  }
+
   async getPrinterInfo(printerName) {
     try {
-      // Force English output
-      const { stdout } = await execAsync(`LC_ALL=C lpoptions -p ${printerName} -l`);
-      
+      await runCommand('lpoptions', ['-p', printerName, '-l']);
+
       // Parse printer options to get model and other info
       const info = {
         model: 'Unknown',
@@ -124,8 +304,7 @@ class PrinterManager {
 
       // Try to get more detailed info from lpstat
       try {
-        // Force English output
-        const { stdout: detailInfo } = await execAsync(`LC_ALL=C lpstat -l -p ${printerName}`);
+        const { stdout: detailInfo } = await runCommand('lpstat', ['-l', '-p', printerName]);
         const lines = detailInfo.split('\n');
         
         for (const line of lines) {
@@ -163,6 +342,51 @@ class PrinterManager {
     }
   }
 
+  // Map a requested printer (alias from config or CUPS queue name) to a CUPS queue name.
+  // Returns null when nothing was requested so callers fall back to the default printer.
+  resolvePrinterName(requested) {
+    if (!requested) {
+      return null;
+    }
+
+    const aliases = this.config.printerAliases || {};
+    const alias = Object.keys(aliases).find(name => name.toLowerCase() === String(requested).toLowerCase());
+    if (alias) {
+      return aliases[alias];
+    }
+
+    if (this.printers.some(p => p.name === requested)) {
+      return requested;
+    }
+
+    throw this.createUnknownPrinterError(`Unknown printer '${requested}'`);
+  }
+
+  isValidPrinterName(name) {
+    return typeof name === 'string' && PRINTER_NAME_PATTERN.test(name);
+  }
+
+  // A CUPS queue from the last refresh, before its name is passed to a command
+  getKnownCupsPrinter(printerName) {
+    const printer = this.isValidPrinterName(printerName) &&
+      this.printers.find(p => p.name === printerName && p.backend === 'cups');
+    if (!printer) {
+      throw this.createUnknownPrinterError(`Unknown printer '${printerName}'`);
+    }
+    return printer;
+  }
+
+  createUnknownPrinterError(message) {
+    const validPrinters = [
+      ...Object.keys(this.config.printerAliases || {}),
+      ...this.printers.map(p => p.name)
+    ];
+    const error = new Error(`${message}. Valid printers: ${validPrinters.join(', ') || 'none'}`);
+    error.statusCode = 404;
+    error.validPrinters = validPrinters;
+    return error;
+  }
+
   async getAvailablePrinters() {
     await this.refreshPrinters();
     return this.printers;
@@ -170,10 +394,6 @@ class PrinterManager {
 
   async print(receiptText, printerName = null) {
     try {
-      if (!this.cupsAvailable) {
-        throw new Error('CUPS not available');
-      }
-
       const targetPrinter = printerName || this.defaultPrinter;
       
       if (!targetPrinter) {
@@ -190,66 +410,91 @@ class PrinterManager {
         throw new Error(`Printer '${targetPrinter}' is ${printer.status}`);
       }
 
-      // Create temporary file for receipt text
-      const tempDir = os.tmpdir();
-      const tempFile = path.join(tempDir, `receipt_${Date.now()}.txt`);
-      
-      // Write as UTF-8 (iconv will convert it)
-      await fs.writeFile(tempFile, receiptText, 'utf8');
-
-      try {
-        // Use iconv like the user's successful command: 
-        // echo "text" | iconv --from-code=UTF-8 --to-code=CP437 | lp -d printer
-        const printCommand = `LC_ALL=C cat "${tempFile}" | iconv --from-code=UTF-8 --to-code=CP437 | lp -d ${targetPrinter}`;
-        const { stdout, stderr } = await execAsync(printCommand);
-        
-        if (stderr && !stderr.includes('request id')) {
-          throw new Error(`Print command failed: ${stderr}`);
-        }
+      if (printer.backend !== 'cups') {
+        return await this.printDirect(receiptText, printer);
+      }
 
-        // Extract job ID from output
-        const jobIdMatch = stdout.match(/request id is [^-]+-(\d+)/);
-        const jobId = jobIdMatch ? jobIdMatch[1] : 'unknown';
+      if (!this.cupsAvailable) {
+        throw new Error('CUPS not available');
+      }
 
-        this.logger.info('Print job submitted successfully', {
-          printer: targetPrinter,
-          jobId: jobId,
-          timestamp: new Date().toISOString()
-        });
+      this.getKnownCupsPrinter(targetPrinter);
 
-        return {
-          success: true,
-          printer: targetPrinter,
-          jobId: jobId
-        };
+      // Already encoded in the printer's code page; lp reads the bytes from stdin
+      const { stdout, stderr } = await runCommand('lp', ['-d', targetPrinter], {
+        input: encodeReceipt(receiptText, this.getCodePage(targetPrinter)),
+        timeout: this.config.timeout
+      });
 
-      } finally {
-        // Clean up temporary file
-        try {
-          await fs.unlink(tempFile);
-        } catch (unlinkError) {
-          this.logger.warn('Failed to clean up temporary file:', unlinkError);
-        }
+      if (stderr && !stderr.includes('request id')) {
+        throw new Error(`Print command failed: ${stderr}`);
       }
 
+      // Extract job ID from output
+      const jobIdMatch = stdout.match(/request id is [^-]+-(\d+)/);
+      const jobId = jobIdMatch ? jobIdMatch[1] : 'unknown';
+
+      this.logger.info('Print job submitted successfully', {
+        printer: targetPrinter,
+        jobId: jobId,
+        timestamp: new Date().toISOString()
+      });
+
+      return {
+        success: true,
+        printer: targetPrinter,
+        backend: 'cups',
+        jobId: jobId
+      };
+
     } catch (error) {
       this.logger.error('Print operation failed:', error);
       throw error;
     }
   }
 
+  // Encode in-process and hand the bytes to the printer's own backend
+  async printDirect(receiptText, printer) {
+    const backend = this.backends.get(printer.name);
+    await backend.write(encodeReceipt(receiptText, this.getCodePage(printer.name)));
+
+    this.logger.info('Print job written to printer', {
+      printer: printer.name,
+      backend: printer.backend,
+      timestamp: new Date().toISOString()
+    });
+
+    return {
+      success: true,
+      printer: printer.name,
+      backend: printer.backend,
+      jobId: null
+    };
+  }
+
+  // Jobs still in the CUPS queues, as { jobId, line }
+  async listCupsJobs() {
+    const { stdout } = await runCommand('lpq', ['-a']);
+    // Columns: Rank Owner Job File(s) Total Size - keep the rows with a job number
+    return stdout.split('\n')
+      .map(line => ({ jobId: line.trim().split(/\s+/)[2], line }))
+      .filter(job => JOB_ID_PATTERN.test(job.jobId || ''));
+  }
+
   async getPrintJobStatus(jobId) {
+    if (!JOB_ID_PATTERN.test(String(jobId))) {
+      this.logger.warn('Ignoring invalid CUPS job ID', { jobId });
+      return 'unknown';
+    }
+
     try {
-      // Force English output
-      const { stdout } = await execAsync(`LC_ALL=C lpq -a`);
-      const jobs = stdout.split('\n').filter(line => line.includes(jobId));
-      
-      if (jobs.length === 0) {
+      const job = (await this.listCupsJobs()).find(entry => entry.jobId === String(jobId));
+
+      if (!job) {
         return 'completed';
       }
-      
-      const jobLine = jobs[0];
-      if (jobLine.includes('active')) {
+
+      if (job.line.includes('active')) {
         return 'printing';
       } else {
         return 'queued';
@@ -260,10 +505,21 @@ class PrinterManager {
     }
   }
 
+  // Only jobs that are still in a CUPS queue can be cancelled
   async cancelPrintJob(jobId) {
+    if (!JOB_ID_PATTERN.test(String(jobId))) {
+      this.logger.warn('Refusing to cancel invalid CUPS job ID', { jobId });
+      return false;
+    }
+
     try {
-      // Force English output
-      await execAsync(`LC_ALL=C cancel ${jobId}`);
+      const jobs = await this.listCupsJobs();
+      if (!jobs.some(job => job.jobId === String(jobId))) {
+        this.logger.warn('CUPS job to cancel is not queued', { jobId });
+        return false;
+      }
+
+      await runCommand('cancel', [String(jobId)]);
       this.logger.info('Print job cancelled:', { jobId });
       return true;
     } catch (error) {
@@ -275,8 +531,8 @@ class PrinterManager {
   // Test if a printer is working properly
   async testPrinter(printerName) {
     try {
-      // Test text with CP437 character set and Spanish characters
-      const testText = `\x1B@\x1Bt\x00\x1B!\x00
+      // Test text with Spanish characters, in the printer's code page
+      const testText = `\x1B@\x1B!\x00
 ================================
         PRINTER TEST
 ================================
@@ -284,7 +540,8 @@ Date: ${new Date().toLocaleString()}
 Printer: ${printerName}
 
 Testing Spanish characters:
-Buñuelísimo - ñ Ñ á é í ó ú
+Buñuelísimo - ñ Ñ á é í ó ú ¿ ¡ €
+Code page: ${this.getCodePage(printerName)}
 
 If you can read this message,
 your printer is functioning
@@ -316,9 +573,9 @@ properly!
   // Get printer capabilities and supported options
   async getPrinterOptions(printerName) {
     try {
-      // Force English output
-      const { stdout } = await execAsync(`LC_ALL=C lpoptions -p ${printerName} -l`);
-      
+      this.getKnownCupsPrinter(printerName);
+      const { stdout } = await runCommand('lpoptions', ['-p', printerName, '-l']);
+
       const options = {};
       const lines = stdout.split('\n').filter(line => line.trim());
       
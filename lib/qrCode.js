@@ -0,0 +1,97 @@
+const QRCode = require('qrcode');
+const { toMonochrome, rasterCommand } = require('./rasterImage');
+
+// ESC/POS QR codes: native GS ( k commands, or a raster image built in JS for
+// printers without a QR engine.
+
+const ERROR_CORRECTION_LEVELS = { L: 48, M: 49, Q: 50, H: 51 };
+const QUIET_ZONE_MODULES = 4;
+
+function checkOptions({ size, errorCorrection }) {
+  if (!Number.isInteger(size) || size < 1 || size > 16) {
+    throw new Error(`QR size must be an integer between 1 and 16, got '${size}'`);
+  }
+  if (!Object.prototype.hasOwnProperty.call(ERROR_CORRECTION_LEVELS, errorCorrection)) {
+    throw new Error(`QR error correction must be one of ${Object.keys(ERROR_CORRECTION_LEVELS).join(', ')}, got '${errorCorrection}'`);
+  }
+}
+
+// Validation error for data a QR code can't hold at this error correction
+// level (too long, or empty), or null when it fits
+function checkQrData(data, errorCorrection) {
+  try {
+    QRCode.create(data, { errorCorrectionLevel: errorCorrection });
+    return null;
+  } catch (error) {
+    return `Cannot encode QR code data (${String(data).length} characters) with error correction ${errorCorrection}: ${error.message}`;
+  }
+}
+
+// GS ( k pL pH cn fn [parameters] with cn = 49 (QR code)
+function qrFunction(fn, parameters) {
+  const length = parameters.length + 2;
+  return Buffer.concat([
+    Buffer.from([0x1D, 0x28, 0x6B, length & 0xFF, (length >> 8) & 0xFF, 0x31, fn]),
+    parameters
+  ]);
+}
+
+// Module size in dots: the configured one, reduced until the symbol and its
+// quiet zone fit `maxWidth` dots (the printable width). A printer given a wider
+// image wraps or garbles it.
+function fitModuleSize(modules, options) {
+  const moduleCount = modules.size + QUIET_ZONE_MODULES * 2;
+  if (!options.maxWidth) {
+    return options.size;
+  }
+  return Math.max(1, Math.min(options.size, Math.floor(options.maxWidth / moduleCount)));
+}
+
+// `options`: { size, errorCorrection, maxWidth }
+function qrNativeCommand(data, options) {
+  checkOptions(options);
+  const bytes = Buffer.from(data, 'utf8');
+
+  // Reject data the symbol can't hold before the printer silently drops it
+  const { modules } = QRCode.create(data, { errorCorrectionLevel: options.errorCorrection });
+  const size = fitModuleSize(modules, options);
+
+  return Buffer.concat([
+    qrFunction(0x41, Buffer.from([0x32, 0x00])),                                     // Model 2
+    qrFunction(0x43, Buffer.from([size])),                                           // Module size in dots
+    qrFunction(0x45, Buffer.from([ERROR_CORRECTION_LEVELS[options.errorCorrection]])), // Error correction
+    qrFunction(0x50, Buffer.concat([Buffer.from([0x30]), bytes])),                   // Store data
+    qrFunction(0x51, Buffer.from([0x30]))                                            // Print symbol
+  ]);
+}
+
+function qrRasterCommand(data, options) {
+  checkOptions(options);
+  const { modules } = QRCode.create(data, { errorCorrectionLevel: options.errorCorrection });
+  const size = fitModuleSize(modules, options);
+
+  const moduleCount = modules.size + QUIET_ZONE_MODULES * 2;
+  const width = moduleCount * size;
+  const pixels = new Uint8Array(width * width).fill(255);
+
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (!modules.get(row, col)) continue;
+
+      const top = (row + QUIET_ZONE_MODULES) * size;
+      const left = (col + QUIET_ZONE_MODULES) * size;
+      for (let y = top; y < top + size; y++) {
+        pixels.fill(0, y * width + left, y * width + left + size);
+      }
+    }
+  }
+
+  return rasterCommand(toMonochrome(pixels, width, width, { dithering: 'threshold' }));
+}
+
+module.exports = {
+  ERROR_CORRECTION_LEVELS,
+  checkQrData,
+  qrNativeCommand,
+  qrRasterCommand
+};
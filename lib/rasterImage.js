@@ -0,0 +1,59 @@
+// 1-bit raster images for ESC/POS printers (GS v 0).
+
+const DITHERING_METHODS = ['threshold', 'floyd-steinberg'];
+
+// Convert 8-bit grayscale pixels to a packed 1-bit bitmap (1 = black dot).
+// Rows are padded to a whole number of bytes as GS v 0 requires.
+function toMonochrome(pixels, width, height, options = {}) {
+  const dithering = options.dithering || 'threshold';
+  const threshold = typeof options.threshold === 'number' ? options.threshold : 128;
+
+  if (!DITHERING_METHODS.includes(dithering)) {
+    throw new Error(`Unknown dithering method '${dithering}'. Use one of: ${DITHERING_METHODS.join(', ')}`);
+  }
+
+  const bytesPerRow = Math.ceil(width / 8);
+  const data = Buffer.alloc(bytesPerRow * height);
+  // Work on a float copy so Floyd-Steinberg can carry the error forward
+  const luminance = Float32Array.from(pixels);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const oldValue = luminance[index];
+      const black = oldValue < threshold;
+
+      if (black) {
+        data[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+
+      if (dithering === 'floyd-steinberg') {
+        const error = oldValue - (black ? 0 : 255);
+        if (x + 1 < width) luminance[index + 1] += error * 7 / 16;
+        if (y + 1 < height) {
+          if (x > 0) luminance[index + width - 1] += error * 3 / 16;
+          luminance[index + width] += error * 5 / 16;
+          if (x + 1 < width) luminance[index + width + 1] += error * 1 / 16;
+        }
+      }
+    }
+  }
+
+  return { width: bytesPerRow * 8, height, bytesPerRow, data };
+}
+
+// GS v 0 m xL xH yL yH d1...dk (m = 0: normal density)
+function rasterCommand(bitmap) {
+  const header = Buffer.from([
+    0x1D, 0x76, 0x30, 0x00,
+    bitmap.bytesPerRow & 0xFF, (bitmap.bytesPerRow >> 8) & 0xFF,
+    bitmap.height & 0xFF, (bitmap.height >> 8) & 0xFF
+  ]);
+  return Buffer.concat([header, bitmap.data]);
+}
+
+module.exports = {
+  DITHERING_METHODS,
+  toMonochrome,
+  rasterCommand
+};
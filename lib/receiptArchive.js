@@ -0,0 +1,115 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getReceiptType, getDocumentId } = require('./receiptTypes');
+const JsonFile = require('./jsonFile');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every printed receipt, kept for `retentionDays` so it can be reprinted
+// without re-entering the order. Each entry (payload + the exact formatted
+// output that went to the printer) is its own file under `archive/`; a small
+// index with the searchable fields and reprint counts sits next to them and
+// is rewritten whole on every change, like the print queue (see lib/jsonFile.js).
+class ReceiptArchive {
+  constructor(options, logger) {
+    this.logger = logger;
+    this.directory = path.join(options.directory || './data', 'archive');
+    this.indexPath = path.join(this.directory, 'index.json');
+    this.retentionDays = options.retentionDays || 30;
+    this.index = new JsonFile(this.indexPath, { name: 'Receipt archive index', logger });
+    this.entries = [];
+  }
+
+  async load() {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const entries = await this.index.read();
+    this.entries = Array.isArray(entries) ? entries : [];
+
+    await this.prune();
+    this.logger.info(`Loaded receipt archive with ${this.entries.length} receipts`, { directory: this.directory });
+    return this.entries;
+  }
+
+  // Store a printed receipt under its job ID
+  async add({ id, receipt, rendered, printer }) {
+    const entry = {
+      id,
+      type: getReceiptType(receipt),
+      documentId: getDocumentId(receipt),
+      printer,
+      printedAt: new Date().toISOString(),
+      reprintCount: 0,
+      lastReprintAt: null
+    };
+
+    await fs.writeFile(this.entryPath(id), JSON.stringify({ id, receipt, rendered }), 'utf8');
+    this.entries.push(entry);
+    await this.prune();
+    await this.persist();
+    return entry;
+  }
+
+  find(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  // Newest first. `documentId` matches the document ID of any type
+  // (orderNumber for sales); `type` narrows it down.
+  search({ documentId, type } = {}) {
+    return this.entries
+      .filter(entry => !documentId || String(entry.documentId) === String(documentId))
+      .filter(entry => !type || entry.type === type)
+      .slice()
+      .reverse();
+  }
+
+  // Entry with its stored payload and formatted output, or null when unknown
+  async get(id) {
+    const entry = this.find(id);
+    if (!entry) {
+      return null;
+    }
+
+    const { receipt, rendered } = JSON.parse(await fs.readFile(this.entryPath(id), 'utf8'));
+    return { ...entry, receipt, rendered };
+  }
+
+  async recordReprint(id) {
+    const entry = this.find(id);
+    if (!entry) {
+      return null;
+    }
+
+    entry.reprintCount += 1;
+    entry.lastReprintAt = new Date().toISOString();
+    await this.persist();
+    return entry;
+  }
+
+  // Drop receipts older than the retention period, with their files
+  async prune() {
+    const cutoff = Date.now() - this.retentionDays * DAY_MS;
+    const expired = this.entries.filter(entry => new Date(entry.printedAt).getTime() < cutoff);
+    if (expired.length === 0) {
+      return;
+    }
+
+    this.entries = this.entries.filter(entry => !expired.includes(entry));
+    for (const entry of expired) {
+      await fs.unlink(this.entryPath(entry.id)).catch(() => {});
+    }
+    await this.persist();
+    this.logger.info(`Removed ${expired.length} receipts older than ${this.retentionDays} days from the archive`);
+  }
+
+  entryPath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  persist() {
+    return this.index.write(this.entries);
+  }
+}
+
+module.exports = ReceiptArchive;
@@ -1,13 +1,23 @@
 const fs = require('fs').promises;
 const path = require('path');
 const sharp = require('sharp');
+const { getReceiptType, getDocumentId } = require('./receiptTypes');
+const { toMonochrome, rasterCommand } = require('./rasterImage');
+const { rawBytes, rawCharToByte, unwrapRawBytes } = require('./codePages');
+const { checkQrData, qrNativeCommand, qrRasterCommand } = require('./qrCode');
+const { checkBarcode, barcodeCommand } = require('./barcode');
+const { formatAmount, resolveCurrencyFormat } = require('./currency');
+const { PAPER_DOT_WIDTHS, renderPng, renderPdf } = require('./escPosRenderer');
+const ReceiptTemplates = require('./receiptTemplates');
+const TemplateRenderer = require('./templateRenderer');
 
 class ReceiptFormatter {
-  constructor(config, logger) {
-    this.config = config || {};
+  // `options.templatesDirectory`: where custom templates live when
+  // config.receipt.templates.directory isn't set
+  constructor(config, logger, options = {}) {
     this.logger = logger;
-    this.paperWidth = config.paperWidth || 48; // 80mm paper = ~48 characters
-    this.logoPath = config.logoPath || './assets/logo.png';
+    this.options = options;
+    this.applyConfig(config);
     
     // ESC/POS Commands
     this.ESC_POS = {
@@ -18,126 +28,126 @@ class ReceiptFormatter {
       BOLD_OFF: '\x1BE\x00',    // Bold off
       CENTER_ON: '\x1Ba\x01',   // Center alignment
       CENTER_OFF: '\x1Ba\x00',  // Left alignment
+      RIGHT_ON: '\x1Ba\x02',    // Right alignment
+      DOUBLE_HEIGHT: '\x1B!\x10', // Double height text
+      DOUBLE_WIDTH: '\x1B!\x20',  // Double width text
+      DOUBLE_SIZE: '\x1B!\x30',   // Double width and height
       CUT_PAPER: '\x1DVA0',     // Partial paper cut
       LINE_FEED: '\n',
       // Character encoding commands
-      CHARSET_PC437: '\x1Bt\x00',  // PC437 (works with iconv)
+      CHARSET_PC437: '\x1Bt\x00',  // PC437
       CHARSET_PC850: '\x1Bt\x02',  // PC850 
       CHARSET_PC860: '\x1Bt\x03',  // PC860 
       CHARSET_PC863: '\x1Bt\x04',  // PC863 
       INTERNATIONAL_SPAIN: '\x1BR\x0C' // International character set to Spain
     };
-  }
 
-  async formatReceipt(receipt) {
-    try {
-      let output = '';
-      
-      // Start with printer initialization and set normal font
-      output += this.ESC_POS.INIT;
-      // Use CP437 since that's what works with iconv
-      output += this.ESC_POS.CHARSET_PC437; 
-      output += this.ESC_POS.NORMAL_TEXT;
-      
-      // Add logo if available
-      const logoText = await this.processLogo();
-      if (logoText) {
-        output += logoText + '\n';
-      }
+    this.templateRenderer = new TemplateRenderer(this);
 
-      // Header section - make it bold and centered
-      output += this.ESC_POS.BOLD_ON + this.ESC_POS.CENTER_ON;
-      output += this.createSeparator('=');
-      output += (this.config.restaurantName || 'RESTAURANT NAME') + '\n';
-      
-      if (this.config.address) {
-        output += this.config.address + '\n';
-      }
-      
-      if (this.config.phone) {
-        output += this.config.phone + '\n';
-      }
-      
-      output += this.createSeparator('=');
-      output += this.ESC_POS.BOLD_OFF + this.ESC_POS.CENTER_OFF;
+    // Built-in layouts for receipt types without a template (see lib/receiptTypes.js).
+    // Sales use the bundled templates/sale.json.
+    this.formatters = {
+      cash_transfer: this.formatCashTransferReceipt.bind(this),
+      shift_closure: this.formatShiftClosureReceipt.bind(this),
+      shift_handoff: this.formatShiftHandoffReceipt.bind(this),
+      cash_expense: this.formatCashExpenseReceipt.bind(this)
+    };
+  }
 
-      // Reset to normal text after header
-      output += this.ESC_POS.NORMAL_TEXT;
+  // Take a new config.receipt, e.g. after a configuration reload. Receipts
+  // formatted from now on use it.
+  applyConfig(config) {
+    this.config = config || {};
+    this.paperWidth = this.config.paperWidth || 48; // 80mm paper = ~48 characters
+    this.logoPath = this.config.logoPath || './assets/logo.png';
+    // Printable dots per line: 12-dot font A, so 48 chars = 576 dots (80mm), 32 = 384 (58mm)
+    this.logoWidth = this.config.logoWidth || this.paperWidth * 12;
+    this.logoDithering = this.config.logoDithering || 'floyd-steinberg';
+    this.logoThreshold = this.config.logoThreshold || 128;
+    this.logoCache = null; // { key, command, width, height }
+    // QR defaults: { mode: 'native' | 'raster', size, errorCorrection, templates: { <type>: ... } }
+    this.qrConfig = this.config.qr || {};
+    // Barcode of the document ID: { types: [...], symbology, height, moduleWidth, hriPosition }
+    this.barcodeConfig = this.config.barcode || {};
+    // How amounts print: "COP", "USD" or a preset with overrides (see lib/currency.js)
+    this.currencyFormat = resolveCurrencyFormat(this.config.currency);
+    // Layouts from templates/*.json; see lib/receiptTemplates.js
+    const templates = this.config.templates || {};
+    this.templates = new ReceiptTemplates({
+      ...templates,
+      directory: templates.directory || this.options.templatesDirectory
+    }, this.logger);
+    // Branding per location: { <key>: { restaurantName, address, phone, taxIds, footerMessage, logoPath, locationNames } }
+    this.locations = this.config.locations || {};
+    this.locationFormatters = new Map(); // key -> ReceiptFormatter with that profile applied
+  }
 
-      // Order info section
-      output += this.formatLine('Pedido #:', receipt.orderNumber) + '\n';
-      output += this.formatLine('Fecha:', this.formatDate(receipt.date)) + '\n';
-      
-      if (receipt.cashier) {
-        output += this.formatLine('Cajero:', receipt.cashier) + '\n';
-      }
-      
-      output += this.createSeparator('-');
+  // Key of the location profile for a receipt: its `location` field, then its
+  // `locationName` (matched against profile keys and their `locationNames`),
+  // then `defaultLocation` (the printer's). Null means config.receipt itself.
+  findLocation(receipt, defaultLocation) {
+    const normalize = value => String(value).trim().toLowerCase();
 
-      // Items section
-      for (const item of receipt.items) {
-        const itemName = `${item.name} x${item.quantity}`;
-        const itemTotal = this.formatCurrency(item.total);
-        output += this.formatLine(itemName, itemTotal) + '\n';
+    for (const candidate of [receipt.location, receipt.locationName]) {
+      if (!candidate) continue;
+      const key = Object.keys(this.locations).find(name =>
+        normalize(name) === normalize(candidate) ||
+        (this.locations[name].locationNames || []).some(alias => normalize(alias) === normalize(candidate))
+      );
+      if (key) {
+        return key;
       }
+    }
 
-      output += this.createSeparator('-');
-
-      // Totals section
-      output += this.formatLine('Subtotal:', this.formatCurrency(receipt.subtotal)) + '\n';
-      
-      if (receipt.tax && receipt.tax > 0) {
-        const taxLabel = this.config.taxLabel || 'IVA:';
-        output += this.formatLine(taxLabel, this.formatCurrency(receipt.tax)) + '\n';
-      }
-      
-      // Make total bold
-      output += this.ESC_POS.BOLD_ON;
-      output += this.formatLine('TOTAL:', this.formatCurrency(receipt.total)) + '\n';
-      output += this.ESC_POS.BOLD_OFF;
-      
-      // Reset to normal text after bold total
-      output += this.ESC_POS.NORMAL_TEXT;
-      output += this.createSeparator('-');
+    if (receipt.location) {
+      this.logger.warn('Unknown receipt location, using the default branding', { location: receipt.location });
+    }
+    return defaultLocation && this.locations[defaultLocation] ? defaultLocation : null;
+  }
 
-      // Payment section
-      const paymentMethod = this.formatPaymentMethod(receipt.paymentMethod);
-      output += this.formatLine('Pago:', paymentMethod) + '\n';
+  // Formatter with a location's branding over config.receipt, kept so each
+  // location's logo is only converted once
+  getLocationFormatter(key) {
+    if (!this.locationFormatters.has(key)) {
+      const { locationNames, ...branding } = this.locations[key];
+      const config = { ...this.config, ...branding };
+      delete config.locations;
+      this.locationFormatters.set(key, new ReceiptFormatter(config, this.logger, this.options));
+    }
+    return this.locationFormatters.get(key);
+  }
 
-      if (receipt.paymentMethod === 'cash' && receipt.tendered) {
-        output += this.formatLine('Recibido:', this.formatCurrency(receipt.tendered)) + '\n';
-        if (receipt.change) {
-          output += this.formatLine('Devuelta:', this.formatCurrency(receipt.change)) + '\n';
-        }
-      }
+  // `options.defaultLocation`: profile of the printer the receipt goes to, used
+  // when the receipt doesn't name a known location
+  async formatReceipt(receipt, options = {}) {
+    const location = this.findLocation(receipt, options.defaultLocation);
+    if (location) {
+      return this.getLocationFormatter(location).formatWithBranding(receipt, location);
+    }
+    return this.formatWithBranding(receipt, receipt.location || receipt.locationName);
+  }
 
-      if (receipt.paymentMethod === 'transfer' && receipt.transferReference) {
-        output += this.formatLine('Referencia:', receipt.transferReference) + '\n';
-      }
+  // `location` also picks the templates configured for it in templates.locations
+  async formatWithBranding(receipt, location) {
+    const type = getReceiptType(receipt);
 
-      output += this.createSeparator('=');
+    try {
+      const template = await this.templates.resolve(type, location);
+      const formatter = this.formatters[type];
 
-      // Footer section - centered
-      output += this.ESC_POS.CENTER_ON;
-      if (this.config.footerMessage) {
-        output += this.config.footerMessage + '\n';
-      } else {
-        output += 'Disfruta tu buñuelísimo!' + '\n';
+      if (!template && !formatter) {
+        throw new Error(`Unsupported receipt type: ${type}`);
       }
-      output += this.ESC_POS.CENTER_OFF;
-      
-      output += this.createSeparator('=');
 
-      // Add extra line feeds before cutting
-      output += '\n\n\n';
-      
-      // Add paper cut command at the end
-      output += this.ESC_POS.CUT_PAPER;
+      const output = template
+        ? await this.templateRenderer.render(template, receipt)
+        : await formatter(receipt);
 
       this.logger.info('Receipt formatted successfully', {
-        orderNumber: receipt.orderNumber,
-        itemCount: receipt.items.length,
-        total: receipt.total
+        type: type,
+        documentId: getDocumentId(receipt),
+        location: location || null,
+        template: template ? template.file : 'built-in'
       });
 
       return output;
@@ -147,11 +157,210 @@ class ReceiptFormatter {
     }
   }
 
+  async formatCashTransferReceipt(receipt) {
+    let output = this.formatPreamble();
+    output += await this.formatDocumentHeader('TRANSFER DE EFECTIVO');
+
+    output += this.formatField('Transfer #:', receipt.transferId);
+    if (receipt.shiftInfo) {
+      output += this.formatField('Turno:', receipt.shiftInfo);
+    }
+    output += this.formatField('Fecha:', this.formatDate(receipt.date));
+    output += this.createSeparator('-');
+
+    // Both parties sign the paper copy
+    output += this.formatField('Enviado por:', receipt.senderName);
+    output += this.formatSignatureLine('Firma:');
+    output += '\n';
+    output += this.formatField('Recibido por:', receipt.receiverName);
+    output += this.formatSignatureLine('Firma:');
+    output += this.createSeparator('-');
+
+    output += 'Monto Transferido:\n';
+    output += this.ESC_POS.BOLD_ON;
+    output += this.formatLine('', this.formatCurrency(receipt.amount)) + '\n';
+    output += this.ESC_POS.BOLD_OFF;
+
+    if (receipt.notes) {
+      output += this.createSeparator('-');
+      output += this.formatField('Notas:', receipt.notes);
+    }
+
+    output += this.formatBarcode(receipt);
+    output += this.formatQrCode(receipt);
+    output += this.formatDocumentFooter('CONSERVAR PARA AUDITORIA');
+    return output;
+  }
+
+  async formatShiftClosureReceipt(receipt) {
+    const expenses = receipt.expenses || [];
+    const expensesTotal = expenses.reduce((sum, expense) => sum + expense.amount, 0);
+
+    let output = this.formatPreamble();
+    output += await this.formatDocumentHeader('CIERRE DE TURNO');
+
+    output += this.formatField('Turno #:', receipt.shiftId);
+    output += this.formatField('Tipo:', this.formatShiftType(receipt.shiftType));
+    output += this.formatField('Fecha:', this.formatDateOnly(receipt.shiftDate));
+    output += this.formatField('Hora:', `${this.formatTime(receipt.startTime)} - ${this.formatTime(receipt.endTime)}`);
+    output += this.createSeparator('-');
+
+    // Cash reconciliation
+    output += this.formatField('Cajero:', receipt.cashierName);
+    output += this.formatField('Inicio:', this.formatCurrency(receipt.startingCash));
+    output += this.formatField('Ventas Turno:', this.formatCurrency(receipt.shiftSales));
+    output += this.formatField('Efectivo Esperado:', this.formatCurrency(receipt.endingCashExpected));
+    output += this.formatField('Efectivo Contado:', this.formatCurrency(receipt.endingCashCounted));
+    output += this.ESC_POS.BOLD_ON;
+    output += this.formatField('Variacion:', this.formatSignedCurrency(receipt.variance));
+    output += this.ESC_POS.BOLD_OFF;
+
+    if (this.exceedsVarianceThreshold(receipt.variance)) {
+      output += this.ESC_POS.BOLD_ON + this.ESC_POS.CENTER_ON;
+      output += `*** ATENCION: VARIACION SUPERA ${this.formatCurrency(this.config.varianceWarningThreshold)} ***\n`;
+      output += this.ESC_POS.BOLD_OFF + this.ESC_POS.CENTER_OFF;
+    }
+
+    output += this.createSeparator('-');
+
+    // Cash that left the drawer during the shift
+    output += this.formatField('Transferencias:', this.formatCurrency(receipt.transfersOut));
+    output += this.formatField('Gastos de Caja:', this.formatCurrency(expensesTotal));
+    for (const [category, amount] of this.groupExpensesByCategory(expenses)) {
+      output += this.formatField(`  - ${category}:`, this.formatCurrency(amount));
+    }
+
+    // Without an explicit finalCash, whatever was counted minus what left the drawer stays
+    const finalCash = typeof receipt.finalCash === 'number'
+      ? receipt.finalCash
+      : receipt.endingCashCounted - receipt.transfersOut - expensesTotal;
+    output += this.ESC_POS.BOLD_ON;
+    output += this.formatField('Efectivo Final:', this.formatCurrency(finalCash));
+    output += this.ESC_POS.BOLD_OFF;
+
+    output += this.formatBarcode(receipt);
+    output += this.formatQrCode(receipt);
+    output += this.formatDocumentFooter('CIERRE COMPLETADO');
+    return output;
+  }
+
+  async formatShiftHandoffReceipt(receipt) {
+    let output = this.formatPreamble();
+    output += await this.formatDocumentHeader('ENTREGA DE TURNO');
+
+    output += this.formatField('Entrega #:', receipt.handoffId);
+    output += this.formatField('Fecha:', this.formatDate(receipt.handoffDate));
+    output += this.createSeparator('-');
+
+    output += this.formatField('Sale:', receipt.outgoingCashier);
+    output += this.formatSignatureLine('Firma:');
+    output += '\n';
+    output += this.formatField('Recibe:', receipt.incomingCashier);
+    output += this.formatSignatureLine('Firma:');
+    output += this.createSeparator('-');
+
+    output += this.formatField('Efectivo Entregado:', this.formatCurrency(receipt.handoffAmount));
+    output += this.formatField('Efectivo Verificado:', this.formatCurrency(receipt.verifiedAmount));
+    output += this.formatField('Diferencia:', this.formatCurrency(receipt.variance));
+    output += this.ESC_POS.BOLD_ON;
+    output += this.formatField('Estado:', receipt.status);
+    output += this.ESC_POS.BOLD_OFF;
+
+    output += this.formatBarcode(receipt);
+    output += this.formatQrCode(receipt);
+    output += this.formatDocumentFooter('CONSERVAR PARA AUDITORIA');
+    return output;
+  }
+
+  async formatCashExpenseReceipt(receipt) {
+    let output = this.formatPreamble();
+    output += await this.formatDocumentHeader('GASTO DE CAJA');
+
+    output += this.formatField('Gasto #:', receipt.cashExpenseId);
+    output += this.formatField('Comprobante:', receipt.expenseId);
+    if (receipt.shiftInfo) {
+      output += this.formatField('Turno:', receipt.shiftInfo);
+    }
+    output += this.formatField('Fecha:', this.formatDate(receipt.date));
+    output += this.createSeparator('-');
+
+    output += this.formatField('Cajero:', receipt.cashierName);
+    output += this.formatField('Categoría:', receipt.category);
+    output += this.formatField('Descripción:', receipt.description);
+    output += this.ESC_POS.BOLD_ON;
+    output += this.formatField('Monto:', this.formatCurrency(receipt.amount));
+    output += this.ESC_POS.BOLD_OFF;
+    output += this.createSeparator('-');
+
+    output += this.formatSignatureLine('Firma Cajero:');
+    output += this.formatSignatureLine('Fecha:');
+
+    output += this.formatBarcode(receipt);
+    output += this.formatQrCode(receipt);
+    output += this.formatDocumentFooter('CONSERVAR PARA AUDITORIA');
+    return output;
+  }
+
+  // Printer initialization shared by every receipt type
+  formatPreamble() {
+    // No ESC t here: the code page is chosen per printer and selected when the
+    // receipt is encoded for it (see lib/codePages.js)
+    let output = this.ESC_POS.INIT;
+    output += this.ESC_POS.NORMAL_TEXT;
+    return output;
+  }
+
+  // Printed above an archived receipt when it comes out of the printer again
+  formatReprintBanner(reprintedAt, reprintNumber) {
+    let output = this.formatPreamble();
+    output += this.ESC_POS.BOLD_ON + this.ESC_POS.CENTER_ON;
+    output += this.createSeparator('*');
+    output += 'COPIA / REIMPRESIÓN\n';
+    output += `Reimpresión #${reprintNumber} - ${this.formatDate(reprintedAt)}\n`;
+    output += this.createSeparator('*');
+    output += this.ESC_POS.BOLD_OFF + this.ESC_POS.CENTER_OFF;
+    return output;
+  }
+
+  // Logo and bold, centered branding (name, address, phone, tax IDs) as on the
+  // sale template, plus the document title (audit documents)
+  async formatDocumentHeader(title) {
+    let output = (await this.processLogo()) || '';
+    output += this.ESC_POS.BOLD_ON + this.ESC_POS.CENTER_ON;
+    output += this.createSeparator('=');
+    output += (this.config.restaurantName || 'RESTAURANT NAME') + '\n';
+    for (const line of [this.config.address, this.config.phone, ...(this.config.taxIds || [])]) {
+      if (line) {
+        output += line + '\n';
+      }
+    }
+    output += this.createSeparator('-');
+    output += title + '\n';
+    output += this.createSeparator('=');
+    output += this.ESC_POS.BOLD_OFF + this.ESC_POS.CENTER_OFF;
+    output += this.ESC_POS.NORMAL_TEXT;
+    return output;
+  }
+
+  // Centered closing message followed by the paper cut
+  formatDocumentFooter(message) {
+    let output = this.createSeparator('=');
+    output += this.ESC_POS.BOLD_ON + this.ESC_POS.CENTER_ON;
+    output += message + '\n';
+    output += this.ESC_POS.BOLD_OFF + this.ESC_POS.CENTER_OFF;
+    output += this.createSeparator('=');
+
+    // Add extra line feeds before cutting
+    output += '\n\n\n';
+    output += this.ESC_POS.CUT_PAPER;
+    return output;
+  }
+
   // Preview method that removes ESC/POS codes for display
-  async previewReceipt(receipt) {
+  async previewReceipt(receipt, options = {}) {
     try {
       // Get the formatted receipt with ESC/POS codes
-      const formattedReceipt = await this.formatReceipt(receipt);
+      const formattedReceipt = await this.formatReceipt(receipt, options);
       
       // Strip ESC/POS control codes for preview
       const previewText = this.stripEscPosCodes(formattedReceipt);
@@ -167,9 +376,41 @@ class ReceiptFormatter {
     }
   }
 
+  // PNG of the receipt as it would come out of the printer. `paper` is '58mm' or
+  // '80mm'; by default the width follows the configured characters per line.
+  async previewImage(receipt, paper, options = {}) {
+    const dotWidth = this.getPreviewDotWidth(paper);
+    return renderPng(await this.formatReceipt(receipt, options), { dotWidth });
+  }
+
+  // PDF copy of the receipt with the same layout, for archiving or email
+  async previewPdf(receipt, paper, options = {}) {
+    const dotWidth = this.getPreviewDotWidth(paper);
+    const title = `${getReceiptType(receipt)} ${getDocumentId(receipt) || ''}`.trim();
+    return renderPdf(await this.formatReceipt(receipt, options), { dotWidth, title });
+  }
+
+  // `paper` comes from the query string: only own keys, so "constructor" isn't a paper size
+  getPreviewDotWidth(paper) {
+    if (!paper) {
+      return this.paperWidth * 12;
+    }
+    if (!Object.prototype.hasOwnProperty.call(PAPER_DOT_WIDTHS, paper)) {
+      const error = new Error(`Unsupported paper '${paper}'. Use one of: ${Object.keys(PAPER_DOT_WIDTHS).join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return PAPER_DOT_WIDTHS[paper];
+  }
+
   // Strip ESC/POS codes to show clean text
-  stripEscPosCodes(text) {
-    return text
+  stripEscPosCodes(formattedText) {
+    const text = unwrapRawBytes(formattedText);
+    // QR, raster and barcode data are binary and may contain anything, so replace them first
+    const withoutBinary = this.replaceBarcodes(
+      this.replaceRasterImages(this.replaceQrCodes(text), (width, height) => `[IMAGE ${width}x${height}]`)
+    );
+    return withoutBinary
       .replace(/\x1B@/g, '[INIT]')           // Initialize
       .replace(/\x1B!\x00/g, '[NORMAL]')     // Normal font
       .replace(/\x1B!\x01/g, '[SMALL]')      // Small font  
@@ -178,7 +419,11 @@ class ReceiptFormatter {
       .replace(/\x1BE\x00/g, '[BOLD-OFF]')   // Bold off
       .replace(/\x1Ba\x01/g, '[CENTER-ON]')  // Center on
       .replace(/\x1Ba\x00/g, '[CENTER-OFF]') // Center off
-      .replace(/\x1Bt\x00/g, '[PC437]')      // Character set PC437 (what works!)
+      .replace(/\x1Ba\x02/g, '[RIGHT-ON]')   // Right alignment
+      .replace(/\x1B!\x10/g, '[DOUBLE-HEIGHT]') // Double height
+      .replace(/\x1B!\x20/g, '[DOUBLE-WIDTH]')  // Double width
+      .replace(/\x1B!\x30/g, '[DOUBLE-SIZE]')   // Double width and height
+      .replace(/\x1Bt\x00/g, '[PC437]')      // Character set PC437
       .replace(/\x1Bt\x02/g, '[PC850]')      // Character set PC850
       .replace(/\x1Bt\x03/g, '[PC860]')      // Character set PC860
       .replace(/\x1Bt\x04/g, '[PC863]')      // Character set PC863
@@ -188,7 +433,8 @@ class ReceiptFormatter {
   }
 
   // List what ESC/POS codes are being used
-  listEscPosCodes(text) {
+  listEscPosCodes(formattedText) {
+    const text = unwrapRawBytes(formattedText);
     const codes = [];
     if (text.includes('\x1B@')) codes.push('INIT (\\x1B@)');
     if (text.includes('\x1B!\x00')) codes.push('NORMAL_FONT (\\x1B!\\x00)');
@@ -198,32 +444,246 @@ class ReceiptFormatter {
     if (text.includes('\x1BE\x00')) codes.push('BOLD_OFF (\\x1BE\\x00)');
     if (text.includes('\x1Ba\x01')) codes.push('CENTER_ON (\\x1Ba\\x01)');
     if (text.includes('\x1Ba\x00')) codes.push('CENTER_OFF (\\x1Ba\\x00)');
-    if (text.includes('\x1Bt\x00')) codes.push('CHARSET_PC437 (\\x1Bt\\x00) + iconv UTF-8→CP437');
+    if (text.includes('\x1Ba\x02')) codes.push('RIGHT_ON (\\x1Ba\\x02)');
+    if (text.includes('\x1B!\x10')) codes.push('DOUBLE_HEIGHT (\\x1B!\\x10)');
+    if (text.includes('\x1B!\x20')) codes.push('DOUBLE_WIDTH (\\x1B!\\x20)');
+    if (text.includes('\x1B!\x30')) codes.push('DOUBLE_SIZE (\\x1B!\\x30)');
+    if (text.includes('\x1Bt\x00')) codes.push('CHARSET_PC437 (\\x1Bt\\x00)');
     if (text.includes('\x1Bt\x02')) codes.push('CHARSET_PC850 (\\x1Bt\\x02)');
     if (text.includes('\x1Bt\x03')) codes.push('CHARSET_PC860 (\\x1Bt\\x03)');
     if (text.includes('\x1Bt\x04')) codes.push('CHARSET_PC863 (\\x1Bt\\x04)');
     if (text.includes('\x1BR\x0C')) codes.push('INTERNATIONAL_SPAIN (\\x1BR\\x0C)');
     if (text.includes('\x1DVA0')) codes.push('CUT_PAPER (\\x1DVA0)');
+    if (text.includes('\x1Dv0')) codes.push('RASTER_IMAGE (\\x1Dv0, GS v 0)');
+    if (text.includes('\x1D(k')) codes.push('QR_CODE (\\x1D(k, GS ( k)');
+    if (text.includes('\x1Dk')) codes.push('BARCODE (\\x1Dk, GS k)');
     return codes;
   }
 
+  // Replace every GS v 0 raster block with the result of replacer(width, height)
+  replaceRasterImages(text, replacer) {
+    let output = '';
+    let position = 0;
+
+    while (position < text.length) {
+      const start = text.indexOf('\x1Dv0', position);
+      if (start === -1) break;
+
+      // GS v 0 m xL xH yL yH, then bytesPerRow * height bytes of data
+      const header = Array.from(text.substr(start + 3, 5), rawCharToByte);
+      const bytesPerRow = header[1] + (header[2] << 8);
+      const height = header[3] + (header[4] << 8);
+      const end = start + 8 + bytesPerRow * height;
+
+      output += text.substring(position, start) + replacer(bytesPerRow * 8, height);
+      position = end;
+    }
+
+    return output + text.substring(position);
+  }
+
+  // Replace native GS ( k QR commands with a "[QR: data]" placeholder
+  replaceQrCodes(text) {
+    let output = '';
+    let position = 0;
+    let storedData = '';
+
+    while (position < text.length) {
+      const start = text.indexOf('\x1D(k', position);
+      if (start === -1) break;
+
+      // GS ( k pL pH cn fn parameters, where pL + pH * 256 counts cn, fn and parameters
+      const length = rawCharToByte(text[start + 3]) + (rawCharToByte(text[start + 4]) << 8);
+      const end = start + 5 + length;
+      const fn = text.charCodeAt(start + 6);
+
+      output += text.substring(position, start);
+      if (fn === 0x50) {
+        // Stored data: skip the m byte and decode the raw bytes back to text
+        const bytes = Array.from(text.substring(start + 8, end), rawCharToByte);
+        storedData = Buffer.from(bytes).toString('utf8');
+      } else if (fn === 0x51) {
+        output += `[QR: ${storedData}]`;
+      }
+      position = end;
+    }
+
+    return output + text.substring(position);
+  }
+
+  // Replace GS k barcodes with "[BARCODE <symbology>: data]" and drop their setup commands
+  replaceBarcodes(text) {
+    const names = { 67: 'EAN13', 68: 'EAN8', 69: 'CODE39', 73: 'CODE128' };
+    const withoutSetup = text.replace(/\x1D[hwHf][\s\S]/g, ''); // GS h / GS w / GS H / GS f n
+
+    let output = '';
+    let position = 0;
+
+    while (position < withoutSetup.length) {
+      const start = withoutSetup.indexOf('\x1Dk', position);
+      if (start === -1) break;
+
+      // GS k m n d1...dn
+      const m = withoutSetup.charCodeAt(start + 2);
+      const length = rawCharToByte(withoutSetup[start + 3]);
+      let data = withoutSetup.substr(start + 4, length);
+      if (m === 73) {
+        data = data.replace(/^\{B/, '').replace(/\{\{/g, '{');
+      }
+
+      output += withoutSetup.substring(position, start) + `[BARCODE ${names[m] || m}: ${data}]`;
+      position = start + 4 + length;
+    }
+
+    return output + withoutSetup.substring(position);
+  }
+
+  // Barcode of the document ID, for the receipt types listed in config.receipt.barcode.types
+  formatBarcode(receipt) {
+    if (!this.shouldPrintBarcode(receipt)) {
+      return '';
+    }
+
+    let output = this.ESC_POS.CENTER_ON;
+    output += rawBytes(barcodeCommand(String(getDocumentId(receipt)), this.barcodeConfig)) + '\n';
+    output += this.ESC_POS.CENTER_OFF;
+    return output;
+  }
+
+  shouldPrintBarcode(receipt) {
+    const types = this.barcodeConfig.types || [];
+    return types.includes(getReceiptType(receipt)) && Boolean(getDocumentId(receipt));
+  }
+
+  // Validation errors for data the configured barcode symbology can't encode
+  getBarcodeErrors(receipt) {
+    if (!this.shouldPrintBarcode(receipt)) {
+      return [];
+    }
+    const error = checkBarcode(String(getDocumentId(receipt)), this.barcodeConfig);
+    return error ? [error] : [];
+  }
+
+  // Validation errors for QR data the symbol can't hold
+  getQrCodeErrors(receipt) {
+    const qr = this.resolveQrCode(receipt);
+    if (!qr) {
+      return [];
+    }
+    const error = checkQrData(qr.data, qr.errorCorrection);
+    return error ? [error] : [];
+  }
+
+  // QR code from receipt.qr, or from the template configured for the receipt type
+  formatQrCode(receipt) {
+    const qr = this.resolveQrCode(receipt);
+    if (!qr) {
+      return '';
+    }
+
+    // Printable dots per line, as for the logo
+    const options = { size: qr.size, errorCorrection: qr.errorCorrection, maxWidth: this.paperWidth * 12 };
+    const command = qr.mode === 'raster'
+      ? qrRasterCommand(qr.data, options)
+      : qrNativeCommand(qr.data, options);
+
+    let output = this.ESC_POS.CENTER_ON;
+    output += rawBytes(command) + '\n';
+    if (qr.label) {
+      output += qr.label + '\n';
+    }
+    output += this.ESC_POS.CENTER_OFF;
+    return output;
+  }
+
+  resolveQrCode(receipt) {
+    let qr = receipt.qr;
+
+    if (!qr) {
+      const template = (this.qrConfig.templates || {})[getReceiptType(receipt)];
+      if (!template) {
+        return null;
+      }
+      qr = typeof template === 'string'
+        ? { data: this.fillTemplate(template, receipt) }
+        : { ...template, data: this.fillTemplate(template.data, receipt) };
+    }
+
+    if (typeof qr === 'string') {
+      qr = { data: qr };
+    }
+
+    return {
+      data: qr.data,
+      label: qr.label,
+      mode: qr.mode || this.qrConfig.mode || 'native',
+      size: qr.size || this.qrConfig.size || 6,
+      errorCorrection: String(qr.errorCorrection || this.qrConfig.errorCorrection || 'M').toUpperCase()
+    };
+  }
+
+  // Replace {field} placeholders with receipt values (URL-encoded inside URLs)
+  fillTemplate(template, receipt) {
+    const isUrl = /^https?:\/\//i.test(template);
+    return template.replace(/\{(\w+)\}/g, (match, field) => {
+      const value = receipt[field] === undefined || receipt[field] === null ? '' : String(receipt[field]);
+      return isUrl ? encodeURIComponent(value) : value;
+    });
+  }
+
   async processLogo() {
     try {
-      // Check if logo file exists
-      await fs.access(this.logoPath);
-      
-      // For now, we'll just indicate where the logo should be
-      // In a full implementation, you'd convert this to ESC/POS bitmap commands
-      return this.ESC_POS.CENTER_ON + '[LOGO]' + this.ESC_POS.CENTER_OFF;
-      
+      // Rebuild the bitmap only when the file or the logo settings change
+      const stats = await fs.stat(this.logoPath);
+      const cacheKey = [stats.mtimeMs, stats.size, this.logoWidth, this.logoDithering, this.logoThreshold].join(':');
+
+      if (!this.logoCache || this.logoCache.key !== cacheKey) {
+        this.logoCache = { key: cacheKey, ...(await this.convertLogo()) };
+        this.logger.info('Logo converted to raster image', {
+          logoPath: this.logoPath,
+          width: this.logoCache.width,
+          height: this.logoCache.height,
+          dithering: this.logoDithering
+        });
+      }
+
+      return this.ESC_POS.CENTER_ON + this.logoCache.command + this.ESC_POS.CENTER_OFF;
+
     } catch (error) {
       this.logger.warn('Logo processing failed, skipping logo:', error.message);
       return null;
     }
   }
 
-  formatLine(label, value) {
-    const totalLength = this.paperWidth;
+  // Scale the logo to the printable width and turn it into a GS v 0 command
+  async convertLogo() {
+    const { data, info } = await sharp(this.logoPath)
+      .flatten({ background: '#ffffff' }) // Transparent areas print as paper
+      .resize({ width: this.logoWidth, fit: 'inside', withoutEnlargement: true })
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    // Keep one luminance value per pixel whatever the channel count
+    const pixels = new Uint8Array(info.width * info.height);
+    for (let i = 0; i < pixels.length; i++) {
+      pixels[i] = data[i * info.channels];
+    }
+
+    const bitmap = toMonochrome(pixels, info.width, info.height, {
+      dithering: this.logoDithering,
+      threshold: this.logoThreshold
+    });
+
+    return {
+      command: rawBytes(rasterCommand(bitmap)),
+      width: bitmap.width,
+      height: bitmap.height
+    };
+  }
+
+  formatLine(label, value, width = this.paperWidth) {
+    const totalLength = width;
     const labelLength = label.length;
     const valueLength = value.toString().length;
     const spacesNeeded = totalLength - labelLength - valueLength;
@@ -238,6 +698,16 @@ class ReceiptFormatter {
     }
   }
 
+  // "Label: value" line used by the audit documents
+  formatField(label, value) {
+    return `${label} ${value}\n`;
+  }
+
+  formatSignatureLine(label) {
+    const lineLength = Math.max(this.paperWidth - label.length - 1, 0);
+    return `${label} ${'_'.repeat(Math.min(lineLength, 20))}\n`;
+  }
+
   centerText(text) {
     const textLength = text.length;
     const totalLength = this.paperWidth;
@@ -255,10 +725,66 @@ class ReceiptFormatter {
   }
 
   formatCurrency(amount) {
-    if (typeof amount !== 'number') {
-      return '$0';
+    return formatAmount(amount, this.currencyFormat);
+  }
+
+  // Amount with an explicit sign, e.g. "-$2,000" or "+$500". Negative amounts
+  // follow the configured negative style.
+  formatSignedCurrency(amount) {
+    const formatted = this.formatCurrency(amount);
+    if (!Number.isFinite(amount) || amount <= 0 || formatted === this.formatCurrency(0)) {
+      return formatted;
+    }
+    return '+' + formatted;
+  }
+
+  exceedsVarianceThreshold(variance) {
+    const threshold = this.config.varianceWarningThreshold;
+    if (typeof threshold !== 'number' || typeof variance !== 'number') {
+      return false;
+    }
+    return Math.abs(variance) > threshold;
+  }
+
+  // Subtotals per expense category, in the order categories first appear
+  groupExpensesByCategory(expenses) {
+    const totals = new Map();
+    for (const expense of expenses) {
+      totals.set(expense.category, (totals.get(expense.category) || 0) + expense.amount);
+    }
+    return totals;
+  }
+
+  formatShiftType(shiftType) {
+    return /^turno\b/i.test(shiftType) ? shiftType : `Turno ${shiftType}`;
+  }
+
+  formatDateOnly(dateString) {
+    // Plain "YYYY-MM-DD" dates are printed as-is to avoid timezone shifts
+    if (/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
+      return dateString;
+    }
+    const date = new Date(dateString);
+    if (Number.isNaN(date.getTime())) {
+      return dateString;
+    }
+    return date.getFullYear() + '-' +
+           String(date.getMonth() + 1).padStart(2, '0') + '-' +
+           String(date.getDate()).padStart(2, '0');
+  }
+
+  formatTime(timeString) {
+    // Already "HH:MM" (or "HH:MM:SS")
+    const match = /^(\d{1,2}):(\d{2})(:\d{2})?$/.exec(timeString);
+    if (match) {
+      return `${match[1].padStart(2, '0')}:${match[2]}`;
+    }
+    const date = new Date(timeString);
+    if (Number.isNaN(date.getTime())) {
+      return timeString;
     }
-    return '$' + amount.toFixed(0);
+    return String(date.getHours()).padStart(2, '0') + ':' +
+           String(date.getMinutes()).padStart(2, '0');
   }
 
   formatDate(dateString) {
@@ -0,0 +1,181 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Receipt layouts defined as JSON files in a templates directory, so a layout
+// can change without touching ReceiptFormatter. A template is a list of
+// sections; every element does one thing:
+//
+//   { "text": "Pedido {{receipt.orderNumber}}" }     one or more lines
+//   { "row": ["Total:", "{{currency receipt.total}}"] } label left, value right
+//   { "separator": "=" }                              full-width rule
+//   { "feed": 3 }                                     blank lines
+//   { "logo": true } / { "barcode": true } / { "qr": true } / { "cut": true }
+//   { "lines": [ ... ] }                              group of elements
+//   { "each": "receipt.items", "as": "item", "lines": [ ... ] }
+//
+// and may carry "if"/"unless" conditions and "align", "bold" and "size"
+// directives, which also apply to everything inside a group.
+
+const BUNDLED_DIRECTORY = path.join(__dirname, '..', 'templates');
+
+const ELEMENT_KINDS = ['text', 'row', 'separator', 'feed', 'logo', 'barcode', 'qr', 'cut', 'lines'];
+const MODIFIERS = ['name', 'if', 'unless', 'align', 'bold', 'size', 'each', 'as'];
+const ALIGNMENTS = ['left', 'center', 'right'];
+const SIZES = ['normal', 'double-height', 'double-width', 'double'];
+
+function validateCondition(condition, where, errors) {
+  const conditions = Array.isArray(condition) ? condition : [condition];
+  for (const item of conditions) {
+    const valid = typeof item === 'string' ||
+      (item && typeof item === 'object' && typeof item.path === 'string' &&
+        (Object.prototype.hasOwnProperty.call(item, 'equals') || Object.prototype.hasOwnProperty.call(item, 'notEquals')));
+    if (!valid) {
+      errors.push(`${where}: conditions are a path, { "path", "equals" | "notEquals" } or a list of those`);
+    }
+  }
+}
+
+function validateElement(element, where, errors) {
+  if (!element || typeof element !== 'object' || Array.isArray(element)) {
+    errors.push(`${where}: must be an object`);
+    return;
+  }
+
+  const kinds = Object.keys(element).filter(key => ELEMENT_KINDS.includes(key));
+  const unknown = Object.keys(element).filter(key => !ELEMENT_KINDS.includes(key) && !MODIFIERS.includes(key));
+  if (unknown.length > 0) {
+    errors.push(`${where}: unknown keys ${unknown.join(', ')}`);
+  }
+  if (kinds.length !== 1) {
+    errors.push(`${where}: needs exactly one of ${ELEMENT_KINDS.join(', ')}`);
+    return;
+  }
+
+  if (element.row !== undefined && (!Array.isArray(element.row) || element.row.length !== 2)) {
+    errors.push(`${where}: row must be [label, value]`);
+  }
+  if (element.text !== undefined && typeof element.text !== 'string') {
+    errors.push(`${where}: text must be a string`);
+  }
+  if (element.separator !== undefined && (typeof element.separator !== 'string' || element.separator.length !== 1)) {
+    errors.push(`${where}: separator must be a single character`);
+  }
+  if (element.feed !== undefined && (!Number.isInteger(element.feed) || element.feed < 0)) {
+    errors.push(`${where}: feed must be a number of lines`);
+  }
+  if (element.align !== undefined && !ALIGNMENTS.includes(element.align)) {
+    errors.push(`${where}: align must be one of ${ALIGNMENTS.join(', ')}`);
+  }
+  if (element.size !== undefined && !SIZES.includes(element.size)) {
+    errors.push(`${where}: size must be one of ${SIZES.join(', ')}`);
+  }
+  if (element.bold !== undefined && typeof element.bold !== 'boolean') {
+    errors.push(`${where}: bold must be true or false`);
+  }
+  if (element.if !== undefined) validateCondition(element.if, where, errors);
+  if (element.unless !== undefined) validateCondition(element.unless, where, errors);
+  if (element.each !== undefined && (typeof element.each !== 'string' || element.lines === undefined)) {
+    errors.push(`${where}: each needs a path and lines to repeat`);
+  }
+
+  if (element.lines !== undefined) {
+    if (!Array.isArray(element.lines)) {
+      errors.push(`${where}: lines must be a list`);
+      return;
+    }
+    element.lines.forEach((child, index) => validateElement(child, `${where}.lines[${index}]`, errors));
+  }
+}
+
+function validateTemplate(template) {
+  const errors = [];
+  if (!template || typeof template !== 'object' || !Array.isArray(template.sections)) {
+    return ['template needs a "sections" list'];
+  }
+  template.sections.forEach((section, index) => validateElement(section, `sections[${index}]`, errors));
+  return errors;
+}
+
+// Picks and loads the template for a receipt:
+//   1. templates.locations[<location>][<type>]
+//   2. templates.types[<type>]
+//   3. <type>.json in the templates directory, then in the bundled templates/
+// and returns null when none applies, so the built-in formatter is used.
+// Files are re-read when they change, so layout edits apply without a restart.
+class ReceiptTemplates {
+  constructor(options, logger) {
+    this.logger = logger;
+    this.directory = options.directory || './templates';
+    this.types = options.types || {};
+    this.locations = options.locations || {};
+    this.cache = new Map(); // file -> { mtimeMs, template }
+  }
+
+  async resolve(type, location) {
+    const byLocation = location && this.locations[location] && this.locations[location][type];
+    const configured = byLocation || this.types[type];
+
+    if (configured) {
+      const template = await this.load(configured);
+      if (!template) {
+        throw new Error(`Template '${configured}' for ${type} receipts not found in ${this.directory}`);
+      }
+      return template;
+    }
+
+    return this.load(type);
+  }
+
+  async load(name) {
+    if (!/^[\w-]+$/.test(name)) {
+      throw new Error(`Invalid template name '${name}'`);
+    }
+
+    for (const directory of [this.directory, BUNDLED_DIRECTORY]) {
+      const file = path.join(directory, `${name}.json`);
+      const template = await this.loadFile(file);
+      if (template) {
+        return template;
+      }
+    }
+    return null;
+  }
+
+  async loadFile(file) {
+    let stats;
+    try {
+      stats = await fs.stat(file);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const cached = this.cache.get(file);
+    if (cached && cached.mtimeMs === stats.mtimeMs) {
+      return cached.template;
+    }
+
+    let template;
+    try {
+      template = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Template ${file} is not valid JSON: ${error.message}`);
+    }
+
+    const errors = validateTemplate(template);
+    if (errors.length > 0) {
+      throw new Error(`Template ${file} is invalid: ${errors.join('; ')}`);
+    }
+
+    template.file = file;
+    this.cache.set(file, { mtimeMs: stats.mtimeMs, template });
+    this.logger.info('Receipt template loaded', { file });
+    return template;
+  }
+}
+
+ReceiptTemplates.validateTemplate = validateTemplate;
+
+module.exports = ReceiptTemplates;
@@ -0,0 +1,214 @@
+// Registry of the receipt types the service knows how to print.
+// Each entry validates its own payload and names the field that identifies
+// the printed document (order number, transfer ID, ...).
+// Payloads without a `type` are treated as sale receipts.
+
+const DEFAULT_RECEIPT_TYPE = 'sale';
+
+function requireString(receipt, field, label, errors) {
+  if (typeof receipt[field] !== 'string' || !receipt[field].trim()) {
+    errors.push(`${label} is required`);
+  }
+}
+
+function requireNumber(receipt, field, label, errors) {
+  if (typeof receipt[field] !== 'number' || Number.isNaN(receipt[field])) {
+    errors.push(`${label} must be a number`);
+  }
+}
+
+function validateSaleReceipt(receipt) {
+  const errors = [];
+
+  if (!receipt.orderNumber) errors.push('Order number is required');
+  if (!receipt.date) errors.push('Date is required');
+  if (!receipt.items || !Array.isArray(receipt.items) || receipt.items.length === 0) {
+    errors.push('Items array is required and must not be empty');
+  }
+  if (typeof receipt.subtotal !== 'number') errors.push('Subtotal must be a number');
+  if (typeof receipt.tax !== 'number') errors.push('Tax must be a number');
+  if (typeof receipt.total !== 'number') errors.push('Total must be a number');
+  if (!receipt.paymentMethod) errors.push('Payment method is required');
+
+  // Validate items
+  if (Array.isArray(receipt.items)) {
+    receipt.items.forEach((item, index) => {
+      if (!item.name) errors.push(`Item ${index + 1}: name is required`);
+      if (typeof item.quantity !== 'number') errors.push(`Item ${index + 1}: quantity must be a number`);
+      if (typeof item.price !== 'number') errors.push(`Item ${index + 1}: price must be a number`);
+      if (typeof item.total !== 'number') errors.push(`Item ${index + 1}: total must be a number`);
+    });
+  }
+
+  return errors;
+}
+
+function validateCashTransferReceipt(receipt) {
+  const errors = [];
+
+  requireString(receipt, 'transferId', 'Transfer ID', errors);
+  requireString(receipt, 'date', 'Date', errors);
+  requireString(receipt, 'senderName', 'Sender name', errors);
+  requireString(receipt, 'receiverName', 'Receiver name', errors);
+  requireNumber(receipt, 'amount', 'Amount', errors);
+
+  return errors;
+}
+
+function validateShiftClosureReceipt(receipt) {
+  const errors = [];
+
+  requireString(receipt, 'shiftId', 'Shift ID', errors);
+  requireString(receipt, 'shiftType', 'Shift type', errors);
+  requireString(receipt, 'shiftDate', 'Shift date', errors);
+  requireString(receipt, 'cashierName', 'Cashier name', errors);
+  requireString(receipt, 'startTime', 'Start time', errors);
+  requireString(receipt, 'endTime', 'End time', errors);
+  requireNumber(receipt, 'startingCash', 'Starting cash', errors);
+  requireNumber(receipt, 'endingCashExpected', 'Expected ending cash', errors);
+  requireNumber(receipt, 'endingCashCounted', 'Counted ending cash', errors);
+  requireNumber(receipt, 'variance', 'Variance', errors);
+  requireNumber(receipt, 'shiftSales', 'Shift sales', errors);
+  requireNumber(receipt, 'transfersOut', 'Transfers out', errors);
+
+  if (receipt.finalCash !== undefined) {
+    requireNumber(receipt, 'finalCash', 'Final cash', errors);
+  }
+
+  if (receipt.expenses !== undefined) {
+    if (!Array.isArray(receipt.expenses)) {
+      errors.push('Expenses must be an array');
+    } else {
+      receipt.expenses.forEach((expense, index) => {
+        if (!expense || typeof expense.category !== 'string' || !expense.category.trim()) {
+          errors.push(`Expense ${index + 1}: category is required`);
+        }
+        if (!expense || typeof expense.amount !== 'number') {
+          errors.push(`Expense ${index + 1}: amount must be a number`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+function validateShiftHandoffReceipt(receipt) {
+  const errors = [];
+
+  requireString(receipt, 'handoffId', 'Handoff ID', errors);
+  requireString(receipt, 'handoffDate', 'Handoff date', errors);
+  requireString(receipt, 'outgoingCashier', 'Outgoing cashier', errors);
+  requireString(receipt, 'incomingCashier', 'Incoming cashier', errors);
+  requireNumber(receipt, 'handoffAmount', 'Handoff amount', errors);
+  requireNumber(receipt, 'verifiedAmount', 'Verified amount', errors);
+  requireNumber(receipt, 'variance', 'Variance', errors);
+  requireString(receipt, 'status', 'Status', errors);
+
+  return errors;
+}
+
+function validateCashExpenseReceipt(receipt) {
+  const errors = [];
+
+  requireString(receipt, 'expenseId', 'Expense ID', errors);
+  requireString(receipt, 'cashExpenseId', 'Cash expense ID', errors);
+  requireString(receipt, 'date', 'Date', errors);
+  requireString(receipt, 'cashierName', 'Cashier name', errors);
+  requireString(receipt, 'category', 'Category', errors);
+  requireString(receipt, 'description', 'Description', errors);
+  requireNumber(receipt, 'amount', 'Amount', errors);
+
+  return errors;
+}
+
+// Optional fields any receipt type may carry
+function validateCommonFields(receipt) {
+  const errors = [];
+
+  if (receipt.qr !== undefined) {
+    const data = typeof receipt.qr === 'string' ? receipt.qr : receipt.qr && receipt.qr.data;
+    if (typeof data !== 'string' || !data) {
+      errors.push('QR code must be a string or an object with a data string');
+    }
+    if (receipt.qr && receipt.qr.size !== undefined &&
+        (!Number.isInteger(receipt.qr.size) || receipt.qr.size < 1 || receipt.qr.size > 16)) {
+      errors.push('QR size must be an integer between 1 and 16');
+    }
+    if (receipt.qr && receipt.qr.errorCorrection !== undefined &&
+        !['L', 'M', 'Q', 'H'].includes(String(receipt.qr.errorCorrection).toUpperCase())) {
+      errors.push('QR error correction must be one of L, M, Q, H');
+    }
+  }
+
+  return errors;
+}
+
+const RECEIPT_TYPES = {
+  sale: {
+    idField: 'orderNumber',
+    validate: validateSaleReceipt
+  },
+  cash_transfer: {
+    idField: 'transferId',
+    validate: validateCashTransferReceipt
+  },
+  shift_closure: {
+    idField: 'shiftId',
+    validate: validateShiftClosureReceipt
+  },
+  shift_handoff: {
+    idField: 'handoffId',
+    validate: validateShiftHandoffReceipt
+  },
+  cash_expense: {
+    idField: 'cashExpenseId',
+    validate: validateCashExpenseReceipt
+  }
+};
+
+function getReceiptType(receipt) {
+  return (receipt && receipt.type) || DEFAULT_RECEIPT_TYPE;
+}
+
+function isSupportedType(type) {
+  return Object.prototype.hasOwnProperty.call(RECEIPT_TYPES, type);
+}
+
+function validateReceipt(receipt) {
+  if (!receipt || typeof receipt !== 'object') {
+    return { valid: false, errors: ['Receipt data is required'] };
+  }
+
+  const type = getReceiptType(receipt);
+  if (!isSupportedType(type)) {
+    return {
+      valid: false,
+      errors: [`Unsupported receipt type '${type}'. Supported types: ${Object.keys(RECEIPT_TYPES).join(', ')}`]
+    };
+  }
+
+  const errors = [
+    ...RECEIPT_TYPES[type].validate(receipt),
+    ...validateCommonFields(receipt)
+  ];
+  return { valid: errors.length === 0, errors };
+}
+
+// Value that identifies the printed document, e.g. "ORD-001" or "TRANS-000123"
+function getDocumentId(receipt) {
+  const type = getReceiptType(receipt);
+  if (!isSupportedType(type)) {
+    return null;
+  }
+  return receipt[RECEIPT_TYPES[type].idField] || null;
+}
+
+module.exports = {
+  RECEIPT_TYPES,
+  DEFAULT_RECEIPT_TYPE,
+  getReceiptType,
+  isSupportedType,
+  validateReceipt,
+  getDocumentId
+};
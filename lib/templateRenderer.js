@@ -0,0 +1,189 @@
+// Turns a receipt template (see lib/receiptTemplates.js) into the ESC/POS
+// stream, using the formatter for the layout helpers (currency, dates, rows,
+// logo, barcode, QR) so templates and built-in layouts print the same way.
+
+const DEFAULT_STYLE = { align: 'left', bold: false, size: 'normal' };
+const WIDTH_SCALES = { normal: 1, 'double-height': 1, 'double-width': 2, double: 2 };
+
+class TemplateRenderer {
+  constructor(formatter) {
+    this.formatter = formatter;
+    const ESC_POS = formatter.ESC_POS;
+
+    this.alignCommands = { left: ESC_POS.CENTER_OFF, center: ESC_POS.CENTER_ON, right: ESC_POS.RIGHT_ON };
+    this.sizeCommands = {
+      normal: ESC_POS.NORMAL_TEXT,
+      'double-height': ESC_POS.DOUBLE_HEIGHT,
+      'double-width': ESC_POS.DOUBLE_WIDTH,
+      double: ESC_POS.DOUBLE_SIZE
+    };
+
+    // {{currency receipt.total}} and friends
+    this.helpers = {
+      currency: value => formatter.formatCurrency(Number(value)),
+      signedCurrency: value => formatter.formatSignedCurrency(Number(value)),
+      date: value => formatter.formatDate(value),
+      dateOnly: value => formatter.formatDateOnly(value),
+      time: value => formatter.formatTime(value),
+      paymentMethod: value => formatter.formatPaymentMethod(String(value)),
+      shiftType: value => formatter.formatShiftType(value),
+      upper: value => String(value).toUpperCase(),
+      lower: value => String(value).toLowerCase()
+    };
+  }
+
+  async render(template, receipt) {
+    const run = {
+      output: this.formatter.formatPreamble(),
+      printed: { ...DEFAULT_STYLE },
+      receipt
+    };
+    const scope = { receipt, config: this.formatter.config };
+
+    await this.renderElements(run, template.sections, scope, DEFAULT_STYLE);
+    return run.output;
+  }
+
+  async renderElements(run, elements, scope, style) {
+    for (const element of elements) {
+      await this.renderElement(run, element, scope, style);
+    }
+  }
+
+  async renderElement(run, element, scope, parentStyle) {
+    if (element.if !== undefined && !this.test(element.if, scope)) return;
+    if (element.unless !== undefined && this.test(element.unless, scope)) return;
+
+    const style = {
+      align: element.align || parentStyle.align,
+      bold: element.bold !== undefined ? element.bold : parentStyle.bold,
+      size: element.size || parentStyle.size
+    };
+
+    if (element.each !== undefined) {
+      const items = this.lookup(element.each, scope);
+      for (const [index, item] of (Array.isArray(items) ? items : []).entries()) {
+        await this.renderElements(run, element.lines, { ...scope, [element.as || 'item']: item, index }, style);
+      }
+      return;
+    }
+
+    if (element.lines !== undefined) {
+      await this.renderElements(run, element.lines, scope, style);
+      return;
+    }
+
+    const width = Math.floor(this.formatter.paperWidth / WIDTH_SCALES[style.size]);
+
+    if (element.text !== undefined) {
+      for (const line of this.interpolate(element.text, scope).split('\n')) {
+        this.writeLine(run, line, style);
+      }
+    } else if (element.row !== undefined) {
+      const [label, value] = element.row.map(part => this.interpolate(part, scope));
+      this.writeLine(run, this.formatter.formatLine(label, value, width), style);
+    } else if (element.separator !== undefined) {
+      this.writeLine(run, element.separator.repeat(width), style);
+    } else if (element.feed !== undefined) {
+      run.output += '\n'.repeat(element.feed);
+    } else if (element.cut) {
+      run.output += this.formatter.ESC_POS.CUT_PAPER;
+    } else if (element.logo || element.barcode || element.qr) {
+      await this.writeBlock(run, element);
+    }
+  }
+
+  // Logo, barcode and QR code come centered from the formatter and leave the
+  // printer left-aligned in normal text
+  async writeBlock(run, element) {
+    let block = '';
+    if (element.logo) {
+      const logo = await this.formatter.processLogo();
+      block = logo ? logo + '\n' : '';
+    } else if (element.barcode) {
+      block = this.formatter.formatBarcode(run.receipt);
+    } else {
+      block = this.formatter.formatQrCode(run.receipt);
+    }
+
+    if (block) {
+      this.applyStyle(run, DEFAULT_STYLE);
+      run.output += block;
+    }
+  }
+
+  writeLine(run, text, style) {
+    this.applyStyle(run, style);
+    run.output += text + '\n';
+  }
+
+  // Only emit the commands for what changed since the last line
+  applyStyle(run, style) {
+    const { printed } = run;
+
+    if (style.size !== printed.size) {
+      run.output += this.sizeCommands[style.size];
+      printed.size = style.size;
+      printed.bold = false; // ESC ! also resets emphasis
+    }
+    if (style.bold !== printed.bold) {
+      run.output += style.bold ? this.formatter.ESC_POS.BOLD_ON : this.formatter.ESC_POS.BOLD_OFF;
+      printed.bold = style.bold;
+    }
+    if (style.align !== printed.align) {
+      run.output += this.alignCommands[style.align];
+      printed.align = style.align;
+    }
+  }
+
+  // Conditions: "path" (truthy), { "path", "equals" | "notEquals" }, or a list (all must hold)
+  test(condition, scope) {
+    if (Array.isArray(condition)) {
+      return condition.every(item => this.test(item, scope));
+    }
+    if (typeof condition === 'string') {
+      const value = this.lookup(condition, scope);
+      return Array.isArray(value) ? value.length > 0 : Boolean(value);
+    }
+
+    const value = this.lookup(condition.path, scope);
+    if (Object.prototype.hasOwnProperty.call(condition, 'equals')) {
+      return value === condition.equals;
+    }
+    return value !== condition.notEquals;
+  }
+
+  lookup(expression, scope) {
+    return expression.split('.').reduce(
+      (value, key) => (value === undefined || value === null ? undefined : value[key]),
+      scope
+    );
+  }
+
+  // {{path}}, {{helper path}} and {{path ?? 'fallback'}} placeholders
+  interpolate(text, scope) {
+    return String(text).replace(/\{\{(.+?)\}\}/g, (placeholder, expression) => {
+      const match = expression.match(/^\s*(?:(\w+)\s+)?([\w.]+)\s*(?:\?\?\s*(['"])(.*)\3)?\s*$/);
+      if (!match) {
+        throw new Error(`Invalid template placeholder ${placeholder}`);
+      }
+
+      const [, helperName, path, , fallback] = match;
+      const value = this.lookup(path, scope);
+      if (value === undefined || value === null || value === '') {
+        return fallback !== undefined ? fallback : '';
+      }
+      if (!helperName) {
+        return String(value);
+      }
+
+      const helper = this.helpers[helperName];
+      if (!helper) {
+        throw new Error(`Unknown template helper '${helperName}'. Use one of: ${Object.keys(this.helpers).join(', ')}`);
+      }
+      return helper(value);
+    });
+  }
+}
+
+module.exports = TemplateRenderer;
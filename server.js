@@ -4,14 +4,31 @@ const helmet = require('helmet');
 const winston = require('winston');
 const fs = require('fs').promises;
 const path = require('path');
-const { exec } = require('child_process');
-const { promisify } = require('util');
 
 const ReceiptFormatter = require('./lib/receiptFormatter');
 const PrinterManager = require('./lib/printerManager');
-const config = require('./config.json');
+const PrintQueue = require('./lib/printQueue');
+const JobTracker = require('./lib/jobTracker');
+const IdempotencyStore = require('./lib/idempotencyStore');
+const CashDrawer = require('./lib/cashDrawer');
+const ReceiptArchive = require('./lib/receiptArchive');
+const AccessControl = require('./lib/accessControl');
+const { validateReceipt, getReceiptType, getDocumentId } = require('./lib/receiptTypes');
+const { loadConfig, saveConfig, redactConfig } = require('./lib/configSchema');
 
-const execAsync = promisify(exec);
+// POS_PRINTER_CONFIG points at another file, e.g. for a second instance or tests
+const CONFIG_PATH = process.env.POS_PRINTER_CONFIG || path.join(__dirname, 'config.json');
+
+// Checked before anything starts, so a broken config.json stops the service
+// with the list of problems. Replaced on SIGHUP by reloadConfig().
+let config;
+let configWarnings;
+try {
+  ({ config, warnings: configWarnings } = loadConfig(CONFIG_PATH));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
 // Initialize logger
 const logger = winston.createLogger({
@@ -40,16 +57,38 @@ const logger = winston.createLogger({
   ]
 });
 
+if (configWarnings.length > 0) {
+  logger.warn('Configuration warnings', { file: CONFIG_PATH, warnings: configWarnings });
+}
+
 class POSPrinterService {
   constructor() {
     this.app = express();
-    this.printQueue = [];
-    this.maxQueueSize = 10;
+    // systemd's StateDirectory (/var/lib/pos-printer-service) survives deploys; ./data is for local runs
+    const storageDirectory = (config.storage && config.storage.directory) || process.env.STATE_DIRECTORY || './data';
+    this.printQueue = new PrintQueue({
+      directory: storageDirectory,
+      maxSize: config.printing.maxQueueSize
+    }, logger);
+    this.pdfDirectory = (config.storage && config.storage.pdfDirectory) || path.join(storageDirectory, 'pdf');
+    this.receiptArchive = new ReceiptArchive({
+      directory: storageDirectory,
+      retentionDays: config.storage && config.storage.archiveRetentionDays
+    }, logger);
+    this.jobTracker = new JobTracker({ maxJobs: config.printing.jobHistorySize }, logger);
+    this.idempotencyStore = new IdempotencyStore({ windowMs: config.printing.idempotencyWindow }, logger);
     this.isProcessingQueue = false;
     this.startTime = Date.now();
     this.lastPrintTime = null;
-    this.printerManager = new PrinterManager(logger);
-    this.receiptFormatter = new ReceiptFormatter(config.receipt, logger);
+    this.printerManager = new PrinterManager(logger, config.printing);
+    // Custom templates are edited on site, so they live with the other state;
+    // the bundled templates/ ships with each deploy
+    this.receiptFormatter = new ReceiptFormatter(config.receipt, logger, {
+      templatesDirectory: path.join(storageDirectory, 'templates')
+    });
+    this.cashDrawer = new CashDrawer(config.drawer, this.printerManager, logger);
+    this.accessControl = new AccessControl(config.security || {}, logger);
+    this.configWriteChain = Promise.resolve();
     
     this.setupMiddleware();
     this.setupRoutes();
@@ -57,26 +96,23 @@ class POSPrinterService {
   }
 
   setupMiddleware() {
+    // Origins outside security.allowedOrigins and state-changing requests
+    // without a valid API key stop here (see lib/accessControl.js). Looked up
+    // per request so a configuration reload takes effect.
+    this.app.use((req, res, next) => this.accessControl.handle(req, res, next));
+
     // Enhanced CORS setup with detailed logging
     console.log('Setting up CORS...');
     this.app.use(cors({
-      origin: function(origin, callback) {
+      origin: (origin, callback) => {
         console.log('CORS Origin check:', origin || 'undefined');
-        // Allow requests with no origin (mobile apps, curl, etc.)
-        if (!origin) {
-          console.log('No origin - allowing request');
-          return callback(null, true);
-        }
-        
-        // Log the origin for debugging
-        console.log('Request from origin:', origin);
-        
-        // Allow all origins for now (you can restrict this later)
-        callback(null, true);
+        // Only origins from security.allowedOrigins get here; requests without
+        // one (mobile apps, curl, etc.) need no CORS headers
+        callback(null, this.accessControl.isOriginAllowed(origin));
       },
       credentials: false,
-      methods: ['GET', 'POST', 'OPTIONS', 'PUT', 'DELETE'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
+      methods: ['GET', 'POST', 'OPTIONS', 'PUT', 'PATCH', 'DELETE'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Requested-With', 'Accept', 'Origin', 'Idempotency-Key'],
       optionsSuccessStatus: 200 // Some legacy browsers choke on 204
     }));
 
@@ -89,8 +125,8 @@ class POSPrinterService {
       console.log('========================');
       
       res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
-      res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PUT, DELETE');
-      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept, Origin');
+      res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PUT, PATCH, DELETE');
+      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Requested-With, Accept, Origin, Idempotency-Key');
       res.header('Access-Control-Max-Age', '86400'); // 24 hours
       res.sendStatus(200);
     });
@@ -189,7 +225,7 @@ class POSPrinterService {
           lastPrintTime: this.lastPrintTime,
           uptime: uptime,
           queueLength: this.printQueue.length,
-          maxQueueSize: this.maxQueueSize,
+          maxQueueSize: this.printQueue.maxSize,
           timestamp: new Date().toISOString()
         };
         
@@ -212,7 +248,11 @@ class POSPrinterService {
         console.log('Printers endpoint called');
         const printers = await this.printerManager.getAvailablePrinters();
         console.log('Available printers:', printers);
-        res.json({ printers, timestamp: new Date().toISOString() });
+        res.json({
+          printers,
+          aliases: config.printing.printerAliases || {},
+          timestamp: new Date().toISOString()
+        });
       } catch (error) {
         console.error('Printers endpoint error:', error);
         logger.error('Printers endpoint error:', error);
@@ -228,7 +268,7 @@ class POSPrinterService {
     this.app.post('/preview', async (req, res) => {
       try {
         console.log('Preview endpoint called with body:', req.body);
-        const { receipt } = req.body;
+        const { receipt, printer } = req.body;
         
         // Validate receipt data
         const validation = this.validateReceiptData(receipt);
@@ -241,8 +281,31 @@ class POSPrinterService {
           });
         }
 
+        // Branding as the target printer would print it, when the receipt doesn't name its location
+        const formatOptions = this.getFormatOptions(printer ? this.printerManager.resolvePrinterName(printer) : this.printerManager.defaultPrinter);
+
+        const format = req.query.format || 'json';
+        if (format === 'png') {
+          const image = await this.receiptFormatter.previewImage(receipt, req.query.paper, formatOptions);
+          console.log('PNG preview generated successfully');
+          return res.type('png').send(image);
+        }
+        if (format === 'pdf') {
+          const pdf = await this.receiptFormatter.previewPdf(receipt, req.query.paper, formatOptions);
+          console.log('PDF preview generated successfully');
+          res.set('Content-Disposition', `inline; filename="${this.getPdfFileName(receipt)}"`);
+          return res.type('pdf').send(pdf);
+        }
+        if (format !== 'json') {
+          return res.status(400).json({
+            success: false,
+            error: `Unsupported preview format '${format}'. Use json, png or pdf`,
+            timestamp: new Date().toISOString()
+          });
+        }
+
         // Get preview of receipt
-        const preview = await this.receiptFormatter.previewReceipt(receipt);
+        const preview = await this.receiptFormatter.previewReceipt(receipt, formatOptions);
         
         console.log('Preview generated successfully');
         res.json({
@@ -255,7 +318,7 @@ class POSPrinterService {
       } catch (error) {
         console.error('Preview endpoint error:', error);
         logger.error('Preview endpoint error:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
           success: false,
           error: error.message,
           timestamp: new Date().toISOString()
@@ -270,7 +333,8 @@ class POSPrinterService {
         console.log('Request body:', JSON.stringify(req.body, null, 2));
         console.log('Request headers:', JSON.stringify(req.headers, null, 2));
         
-        const { printerName } = req.body;
+        // Accept the same "printer" field as /print; "printerName" is kept for older clients
+        const printerName = req.body.printer || req.body.printerName;
         console.log('Extracted printer name:', printerName);
         
         const testReceipt = {
@@ -302,7 +366,7 @@ class POSPrinterService {
         console.log('Generated test receipt:', JSON.stringify(testReceipt, null, 2));
         console.log('Processing print job...');
         
-        const result = await this.processPrintJob(testReceipt, printerName);
+        const result = await this.processPrintJob(testReceipt, printerName, { openDrawer: false });
         console.log('Print job result:', JSON.stringify(result, null, 2));
         
         // Add timestamp to response
@@ -320,9 +384,11 @@ class POSPrinterService {
         console.error('=======================');
         
         logger.error('Test print error:', error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
           success: false,
           error: error.message,
+          jobId: error.jobId,
+          validPrinters: error.validPrinters,
           errorType: error.constructor.name,
           timestamp: new Date().toISOString(),
           endpoint: 'test-print'
@@ -334,7 +400,7 @@ class POSPrinterService {
     this.app.post('/print', async (req, res) => {
       try {
         console.log('Print endpoint called with body:', req.body);
-        const { receipt } = req.body;
+        const { receipt, force, printer, savePdf } = req.body;
         
         // Validate receipt data
         const validation = this.validateReceiptData(receipt);
@@ -347,8 +413,48 @@ class POSPrinterService {
           });
         }
 
+        // A retried request returns the original result instead of printing again.
+        // Keys are per printer: the same order may go to the register and the kitchen.
+        const targetPrinter = await this.resolveTargetPrinter(printer);
+        const idempotencyKey = this.getIdempotencyKey(req, receipt, targetPrinter.name);
+        const previous = idempotencyKey && force !== true ? this.idempotencyStore.get(idempotencyKey) : null;
+        if (previous) {
+          const original = await previous;
+          // Report where the original job is now, not what it was when first answered
+          const current = this.jobTracker.get(original.jobId);
+          const state = current ? current.state : original.state;
+          if (state === 'cancelled' || state === 'failed') {
+            // Nothing was printed: treat the request as a new one
+            this.idempotencyStore.forgetJob(original.jobId);
+          } else {
+            logger.info('Duplicate print request ignored', { idempotencyKey, jobId: original.jobId, state });
+            return res.json({
+              ...original,
+              success: state !== 'queued',
+              message: state === original.state ? original.message : `Job ${original.jobId} is ${state}`,
+              state,
+              queued: state === 'queued',
+              cupsJobId: current ? current.cupsJobId : original.cupsJobId,
+              duplicate: true,
+              idempotencyKey,
+              timestamp: new Date().toISOString()
+            });
+          }
+        }
+
+        if (force === true) {
+          logger.info('Forced reprint requested', { idempotencyKey });
+        }
+
         console.log('Processing print job...');
-        const result = await this.processPrintJob(receipt);
+        const job = this.processPrintJob(receipt, targetPrinter.name, { targetPrinter });
+        if (idempotencyKey) {
+          this.idempotencyStore.remember(idempotencyKey, job);
+        }
+        const result = { ...(await job), idempotencyKey };
+        if (savePdf === true) {
+          Object.assign(result, await this.savePdfCopy(receipt, result.printerId));
+        }
         result.timestamp = new Date().toISOString();
         
         console.log('Print job completed:', result);
@@ -356,6 +462,159 @@ class POSPrinterService {
       } catch (error) {
         console.error('Print endpoint error:', error);
         logger.error('Print endpoint error:', error);
+        res.status(error.statusCode || 500).json({
+          success: false,
+          error: error.message,
+          jobId: error.jobId,
+          validPrinters: error.validPrinters,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Open the cash drawer without printing
+    this.app.post('/drawer/open', async (req, res) => {
+      try {
+        console.log('Drawer open endpoint called with body:', req.body);
+        const { printer, reason } = req.body || {};
+
+        const targetPrinter = await this.resolveTargetPrinter(printer);
+        if (targetPrinter.status !== 'online') {
+          return res.status(503).json({
+            success: false,
+            error: `Printer '${targetPrinter.name}' is ${targetPrinter.status}`,
+            printerId: targetPrinter.name,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        const openReason = reason || 'manual';
+        await this.cashDrawer.open(targetPrinter.name, `${openReason} (requested by ${req.ip})`);
+
+        res.json({
+          success: true,
+          message: 'Cash drawer opened',
+          printerId: targetPrinter.name,
+          reason: openReason,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Drawer open endpoint error:', error);
+        logger.error('Drawer open endpoint error:', error);
+        res.status(error.statusCode || 500).json({
+          success: false,
+          error: error.message,
+          validPrinters: error.validPrinters,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Effective configuration, with API keys masked
+    this.app.get('/config', (req, res) => {
+      res.json({
+        success: true,
+        file: CONFIG_PATH,
+        config: redactConfig(config),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Receipt branding and layout settings (config.receipt). PUT replaces the
+    // whole section, PATCH only the keys sent (null removes a key).
+    const updateReceiptConfig = async (req, res) => {
+      try {
+        const { receipt, warnings } = await this.updateReceiptConfig(req.body, req.method === 'PUT');
+        res.json({
+          success: true,
+          receipt,
+          warnings,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Receipt config update error:', error);
+        res.status(error.statusCode || 500).json({
+          success: false,
+          error: error.message,
+          errors: error.errors,
+          timestamp: new Date().toISOString()
+        });
+      }
+    };
+    this.app.put('/config/receipt', updateReceiptConfig);
+    this.app.patch('/config/receipt', updateReceiptConfig);
+
+    // Archived receipts, newest first: ?documentId= or ?orderNumber=, optionally &type=
+    this.app.get('/archive', (req, res) => {
+      const documentId = req.query.documentId || req.query.orderNumber;
+      const receipts = this.receiptArchive.search({ documentId, type: req.query.type });
+      res.json({
+        success: true,
+        receipts,
+        retentionDays: this.receiptArchive.retentionDays,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Reprint an archived receipt by archive ID, document ID or order number
+    this.app.post('/reprint/:id', async (req, res) => {
+      try {
+        console.log('Reprint endpoint called for:', req.params.id);
+        const { printer } = req.body || {};
+        const result = await this.reprintReceipt(req.params.id, printer);
+        res.json({ ...result, timestamp: new Date().toISOString() });
+      } catch (error) {
+        console.error('Reprint endpoint error:', error);
+        logger.error('Reprint endpoint error:', error);
+        res.status(error.statusCode || 500).json({
+          success: false,
+          error: error.message,
+          jobId: error.jobId,
+          validPrinters: error.validPrinters,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Job status endpoint - state of a print request by service job ID
+    this.app.get('/jobs/:id', async (req, res) => {
+      try {
+        console.log('Job status endpoint called for:', req.params.id);
+        const job = this.jobTracker.get(req.params.id);
+
+        if (!job) {
+          return res.status(404).json({
+            success: false,
+            error: `Job '${req.params.id}' not found`,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+        await this.refreshJobState(job);
+        res.json({ success: true, job, timestamp: new Date().toISOString() });
+      } catch (error) {
+        console.error('Job status endpoint error:', error);
+        logger.error('Job status endpoint error:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Cancel a job - drop it from the print queue or cancel it in CUPS
+    this.app.delete('/jobs/:id', async (req, res) => {
+      try {
+        console.log('Cancel job endpoint called for:', req.params.id);
+        const result = await this.cancelJob(req.params.id);
+        res.status(result.statusCode || 200).json({
+          ...result.body,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Cancel job endpoint error:', error);
+        logger.error('Cancel job endpoint error:', error);
         res.status(500).json({
           success: false,
           error: error.message,
@@ -378,7 +637,14 @@ class POSPrinterService {
           preview: 'POST /preview',
           testPrint: 'POST /test-print', 
           status: 'GET /status',
-          printers: 'GET /printers'
+          printers: 'GET /printers',
+          jobStatus: 'GET /jobs/:id',
+          cancelJob: 'DELETE /jobs/:id',
+          openDrawer: 'POST /drawer/open',
+          archive: 'GET /archive',
+          reprint: 'POST /reprint/:id',
+          config: 'GET /config',
+          updateReceiptConfig: 'PUT|PATCH /config/receipt'
         }
       };
       
@@ -405,92 +671,148 @@ class POSPrinterService {
           'GET /printers': 'List printers',
           'POST /test-print': 'Test print',
           'POST /print': 'Print receipt',
-          'POST /preview': 'Preview receipt'
+          'POST /preview': 'Preview receipt (?format=png or pdf for a file)',
+          'GET /jobs/:id': 'Print job status',
+          'DELETE /jobs/:id': 'Cancel print job',
+          'POST /drawer/open': 'Open cash drawer',
+          'GET /archive': 'Search printed receipts',
+          'POST /reprint/:id': 'Reprint an archived receipt',
+          'GET /config': 'Effective configuration (API keys hidden)',
+          'PUT|PATCH /config/receipt': 'Update receipt branding'
         },
         timestamp: new Date().toISOString()
       });
     });
   }
 
-  validateReceiptData(receipt) {
-    const errors = [];
-    
-    if (!receipt) {
-      errors.push('Receipt data is required');
-      return { valid: false, errors };
+  // Explicit Idempotency-Key header, or one derived from the receipt type and
+  // document ID, scoped to the printer the receipt goes to
+  getIdempotencyKey(req, receipt, printerName) {
+    const header = req.get('Idempotency-Key');
+    if (header && header.trim()) {
+      return `${header.trim()}@${printerName}`;
     }
 
-    if (!receipt.orderNumber) errors.push('Order number is required');
-    if (!receipt.date) errors.push('Date is required');
-    if (!receipt.items || !Array.isArray(receipt.items) || receipt.items.length === 0) {
-      errors.push('Items array is required and must not be empty');
-    }
-    if (typeof receipt.subtotal !== 'number') errors.push('Subtotal must be a number');
-    if (typeof receipt.tax !== 'number') errors.push('Tax must be a number');
-    if (typeof receipt.total !== 'number') errors.push('Total must be a number');
-    if (!receipt.paymentMethod) errors.push('Payment method is required');
-
-    // Validate items
-    if (receipt.items) {
-      receipt.items.forEach((item, index) => {
-        if (!item.name) errors.push(`Item ${index + 1}: name is required`);
-        if (typeof item.quantity !== 'number') errors.push(`Item ${index + 1}: quantity must be a number`);
-        if (typeof item.price !== 'number') errors.push(`Item ${index + 1}: price must be a number`);
-        if (typeof item.total !== 'number') errors.push(`Item ${index + 1}: total must be a number`);
-      });
+    const documentId = getDocumentId(receipt);
+    return documentId ? `${getReceiptType(receipt)}:${documentId}@${printerName}` : null;
+  }
+
+  validateReceiptData(receipt) {
+    // Each receipt type has its own required fields (see lib/receiptTypes.js)
+    const validation = validateReceipt(receipt);
+    if (!validation.valid) {
+      return validation;
     }
 
+    // Document IDs the configured barcode symbology can't encode, and QR data
+    // too long for a QR code, are rejected up front
+    const errors = [
+      ...this.receiptFormatter.getBarcodeErrors(receipt),
+      ...this.receiptFormatter.getQrCodeErrors(receipt)
+    ];
     return { valid: errors.length === 0, errors };
   }
 
-  async processPrintJob(receipt, printerName = null) {
+  // "<type>-<document id>.pdf", limited to characters that are safe in a file name
+  getPdfFileName(receipt) {
+    const documentId = String(getDocumentId(receipt) || 'receipt').replace(/[^A-Za-z0-9._-]/g, '_');
+    return `${getReceiptType(receipt)}-${documentId}.pdf`;
+  }
+
+  // Store a PDF copy next to the printed receipt. A failure here never fails the
+  // print itself; the response just reports it.
+  async savePdfCopy(receipt, printerName) {
     try {
-      console.log('Processing print job for printer:', printerName);
-      
-      // Check if printer is available
-      const printers = await this.printerManager.getAvailablePrinters();
-      console.log('Available printers:', printers.map(p => ({ name: p.name, status: p.status })));
-      
-      const targetPrinter = printerName ? 
-        printers.find(p => p.name === printerName) : 
-        printers.find(p => p.isDefault) || printers[0];
+      const pdf = await this.receiptFormatter.previewPdf(receipt, undefined, this.getFormatOptions(printerName));
+      const fileName = this.getPdfFileName(receipt).replace(/\.pdf$/, `-${Date.now()}.pdf`);
+      const filePath = path.join(this.pdfDirectory, fileName);
 
-      console.log('Target printer:', targetPrinter);
+      await fs.mkdir(this.pdfDirectory, { recursive: true });
+      await fs.writeFile(filePath, pdf);
+      logger.info('PDF copy saved', { file: filePath });
+      return { pdfFile: filePath };
+    } catch (error) {
+      logger.error('Failed to save PDF copy:', error);
+      return { pdfFile: null, pdfError: error.message };
+    }
+  }
+
+  // Formatter options for a receipt going to `printerName`: its location profile
+  // applies when the receipt itself names none
+  getFormatOptions(printerName) {
+    return { defaultLocation: this.printerManager.getReceiptLocation(printerName) };
+  }
+
+  // Pick the requested printer (alias or CUPS queue name), or the default one
+  async resolveTargetPrinter(printerName) {
+    // Check if printer is available
+    const printers = await this.printerManager.getAvailablePrinters();
+    console.log('Available printers:', printers.map(p => ({ name: p.name, status: p.status })));
+    
+    // The payload may name a printer by alias ("Rongta", "cocina") or CUPS queue name
+    const queueName = this.printerManager.resolvePrinterName(printerName);
+    const targetPrinter = queueName ? 
+      printers.find(p => p.name === queueName) : 
+      printers.find(p => p.isDefault) || printers[0];
 
-      if (!targetPrinter) {
-        throw new Error('No printers available');
+    console.log('Target printer:', targetPrinter);
+
+    if (!targetPrinter) {
+      if (queueName) {
+        throw this.printerManager.createUnknownPrinterError(
+          `Printer '${printerName}' maps to CUPS queue '${queueName}', which does not exist`
+        );
       }
+      throw new Error('No printers available');
+    }
+
+    return targetPrinter;
+  }
+
+  // `options.targetPrinter`: the printer already resolved by the caller, so the
+  // printer list isn't refreshed twice for one receipt
+  async processPrintJob(receipt, printerName = null, options = {}) {
+    const job = this.jobTracker.create({
+      type: getReceiptType(receipt),
+      documentId: getDocumentId(receipt)
+    });
+
+    try {
+      console.log('Processing print job for printer:', printerName);
+      const targetPrinter = options.targetPrinter || await this.resolveTargetPrinter(printerName);
+
+      this.jobTracker.update(job.id, { printer: targetPrinter.name });
 
       if (targetPrinter.status !== 'online') {
         // Add to queue if printer is offline
-        if (this.printQueue.length < this.maxQueueSize) {
-          this.printQueue.push({ receipt, printerName, timestamp: Date.now() });
-          logger.warn(`Printer offline, added to queue. Queue length: ${this.printQueue.length}`);
-          
-          return {
-            success: false,
-            message: `Printer offline, queued for printing. Queue position: ${this.printQueue.length}`,
-            printerId: targetPrinter.name,
-            queued: true
-          };
-        } else {
+        if (this.printQueue.isFull()) {
           throw new Error('Printer offline and queue is full');
         }
+
+        // Store the resolved printer so a replay after restart goes to the same place
+        await this.printQueue.enqueue({ id: job.id, receipt, printerName: targetPrinter.name });
+        logger.warn(`Printer offline, added to queue. Queue length: ${this.printQueue.length}`);
+
+        return {
+          success: false,
+          message: `Printer offline, queued for printing. Queue position: ${this.printQueue.length}`,
+          printerId: targetPrinter.name,
+          jobId: job.id,
+          state: job.state,
+          queued: true
+        };
       }
 
-      // Format and print receipt
-      console.log('Formatting receipt...');
-      const formattedReceipt = await this.receiptFormatter.formatReceipt(receipt);
-      
-      console.log('Sending to printer...');
-      const printResult = await this.printerManager.print(formattedReceipt, targetPrinter.name);
-      
-      this.lastPrintTime = new Date().toISOString();
-      logger.info('Receipt printed successfully', {
-        orderNumber: receipt.orderNumber,
-        printer: targetPrinter.name,
-        timestamp: this.lastPrintTime
-      });
+      const printResult = await this.printReceipt(receipt, targetPrinter.name, job.id);
+
+      // Only receipts printed right away open the drawer, never late queue replays
+      if (options.openDrawer !== false && this.cashDrawer.shouldOpenFor(receipt)) {
+        try {
+          await this.cashDrawer.open(targetPrinter.name, `cash payment ${getDocumentId(receipt)}`);
+        } catch (drawerError) {
+          logger.error('Failed to open cash drawer:', drawerError);
+        }
+      }
 
       console.log('Print successful, checking queue...');
       // Process queue if printer came back online
@@ -502,16 +824,195 @@ class POSPrinterService {
         success: true,
         message: 'Receipt printed successfully',
         printerId: targetPrinter.name,
+        jobId: job.id,
+        cupsJobId: printResult.jobId,
+        state: this.jobTracker.get(job.id).state,
         timestamp: this.lastPrintTime
       };
 
     } catch (error) {
       console.error('Print job failed:', error);
       logger.error('Print job failed:', error);
+      this.jobTracker.update(job.id, { state: 'failed', error: error.message });
+      error.jobId = job.id;
+      throw error;
+    }
+  }
+
+  // Format a receipt and send it to a printer known to be online
+  async printReceipt(receipt, printerName, jobId) {
+    console.log('Formatting receipt...');
+    const formattedReceipt = await this.receiptFormatter.formatReceipt(receipt, this.getFormatOptions(printerName));
+
+    console.log('Sending to printer...');
+    const printResult = await this.printerManager.print(formattedReceipt, printerName);
+
+    // Direct backends hand the bytes to the printer themselves, so there is no CUPS job to follow
+    this.jobTracker.update(jobId, {
+      state: printResult.backend === 'cups' ? 'sent' : 'completed',
+      printer: printerName,
+      cupsJobId: printResult.jobId
+    });
+
+    this.lastPrintTime = new Date().toISOString();
+    await this.archiveReceipt(jobId, receipt, formattedReceipt, printerName);
+    logger.info('Receipt printed successfully', {
+      type: getReceiptType(receipt),
+      documentId: getDocumentId(receipt),
+      printer: printerName,
+      jobId: jobId,
+      timestamp: this.lastPrintTime
+    });
+
+    return printResult;
+  }
+
+  // Keep what was printed so it can be reprinted later. The receipt is already
+  // on paper, so a failure here is only logged.
+  async archiveReceipt(jobId, receipt, formattedReceipt, printerName) {
+    try {
+      await this.receiptArchive.add({ id: jobId, receipt, rendered: formattedReceipt, printer: printerName });
+    } catch (error) {
+      logger.error('Failed to archive receipt:', error);
+    }
+  }
+
+  // Archived receipt by archive ID (the original job ID), or the latest one for a document ID / order number
+  findArchivedReceipt(idOrDocumentId) {
+    return this.receiptArchive.find(idOrDocumentId) ||
+      this.receiptArchive.search({ documentId: idOrDocumentId })[0] ||
+      null;
+  }
+
+  // Print an archived receipt again, exactly as it was, below a "COPIA / REIMPRESIÓN" banner
+  async reprintReceipt(idOrDocumentId, printerName) {
+    const found = this.findArchivedReceipt(idOrDocumentId);
+    if (!found) {
+      const error = new Error(`No archived receipt for '${idOrDocumentId}'`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const archived = await this.receiptArchive.get(found.id);
+    const targetPrinter = await this.resolveTargetPrinter(printerName || archived.printer);
+    if (targetPrinter.status !== 'online') {
+      const error = new Error(`Printer '${targetPrinter.name}' is ${targetPrinter.status}`);
+      error.statusCode = 503;
+      throw error;
+    }
+
+    const job = this.jobTracker.create({
+      printer: targetPrinter.name,
+      type: archived.type,
+      documentId: archived.documentId
+    });
+
+    try {
+      const reprintedAt = new Date().toISOString();
+      const banner = this.receiptFormatter.formatReprintBanner(reprintedAt, archived.reprintCount + 1);
+      const printResult = await this.printerManager.print(banner + archived.rendered, targetPrinter.name);
+
+      this.jobTracker.update(job.id, {
+        state: printResult.backend === 'cups' ? 'sent' : 'completed',
+        cupsJobId: printResult.jobId
+      });
+      const entry = await this.receiptArchive.recordReprint(archived.id);
+
+      this.lastPrintTime = reprintedAt;
+      logger.info('Receipt reprinted', {
+        archiveId: archived.id,
+        type: archived.type,
+        documentId: archived.documentId,
+        printer: targetPrinter.name,
+        jobId: job.id,
+        reprintCount: entry.reprintCount
+      });
+
+      return {
+        success: true,
+        message: 'Receipt reprinted',
+        printerId: targetPrinter.name,
+        jobId: job.id,
+        cupsJobId: printResult.jobId,
+        state: this.jobTracker.get(job.id).state,
+        archiveId: archived.id,
+        documentId: archived.documentId,
+        reprintCount: entry.reprintCount
+      };
+    } catch (error) {
+      this.jobTracker.update(job.id, { state: 'failed', error: error.message });
+      error.jobId = job.id;
       throw error;
     }
   }
 
+  // Refresh a submitted job from the CUPS queue before reporting it
+  async refreshJobState(job) {
+    if ((job.state !== 'sent' && job.state !== 'printing') || !job.cupsJobId || job.cupsJobId === 'unknown') {
+      return job;
+    }
+
+    const cupsState = await this.printerManager.getPrintJobStatus(job.cupsJobId);
+    const states = {
+      queued: 'sent',
+      printing: 'printing',
+      completed: 'completed'
+    };
+
+    // 'unknown' means CUPS could not be asked; keep the last known state
+    if (states[cupsState] && states[cupsState] !== job.state) {
+      this.jobTracker.update(job.id, { state: states[cupsState] });
+    }
+
+    return job;
+  }
+
+  // Returns { statusCode, body } describing where the job was cancelled
+  async cancelJob(id) {
+    // Still waiting in the offline queue: just drop it
+    const queuedJob = await this.printQueue.remove(id);
+    if (queuedJob) {
+      this.jobTracker.update(id, { state: 'cancelled' });
+      this.idempotencyStore.forgetJob(id);
+      logger.info('Queued print job cancelled', { jobId: id, printer: queuedJob.printerName });
+      return {
+        body: { success: true, jobId: id, cancelled: true, cancelledFrom: 'queue' }
+      };
+    }
+
+    const job = this.jobTracker.get(id);
+    if (!job) {
+      return {
+        statusCode: 404,
+        body: { success: false, error: `Job '${id}' not found` }
+      };
+    }
+
+    await this.refreshJobState(job);
+    if (this.jobTracker.isFinished(job) || !job.cupsJobId || job.cupsJobId === 'unknown') {
+      return {
+        statusCode: 409,
+        body: { success: false, jobId: id, state: job.state, error: `Job '${id}' is ${job.state} and can no longer be cancelled` }
+      };
+    }
+
+    // Already submitted: ask CUPS to cancel it
+    const cancelled = await this.printerManager.cancelPrintJob(job.cupsJobId);
+    if (!cancelled) {
+      return {
+        statusCode: 502,
+        body: { success: false, jobId: id, state: job.state, error: `CUPS could not cancel job ${job.cupsJobId}` }
+      };
+    }
+
+    this.jobTracker.update(id, { state: 'cancelled' });
+    this.idempotencyStore.forgetJob(id);
+    logger.info('Submitted print job cancelled', { jobId: id, cupsJobId: job.cupsJobId, printer: job.printer });
+    return {
+      body: { success: true, jobId: id, cupsJobId: job.cupsJobId, cancelled: true, cancelledFrom: 'cups' }
+    };
+  }
+
   async processQueue() {
     if (this.isProcessingQueue || this.printQueue.length === 0) {
       return;
@@ -520,25 +1021,48 @@ class POSPrinterService {
     this.isProcessingQueue = true;
     logger.info(`Processing print queue, ${this.printQueue.length} items`);
 
-    while (this.printQueue.length > 0) {
-      try {
-        const job = this.printQueue.shift();
-        const result = await this.processPrintJob(job.receipt, job.printerName);
-        
-        if (!result.success && result.queued) {
-          // If it got queued again, put it back and stop processing
-          this.printQueue.unshift(job);
-          break;
+    try {
+      const printers = await this.printerManager.getAvailablePrinters();
+
+      for (const job of this.printQueue.list()) {
+        // Skip jobs cancelled while earlier ones were printing
+        if (!this.printQueue.find(job.id)) {
+          continue;
         }
-        
-        logger.info('Queued job printed successfully', { orderNumber: job.receipt.orderNumber });
-      } catch (error) {
-        logger.error('Failed to print queued job:', error);
-        // Continue processing other jobs
+
+        const targetPrinter = printers.find(p => p.name === job.printerName);
+
+        // Jobs for a printer that is still offline wait for the next attempt
+        if (targetPrinter && targetPrinter.status !== 'online') {
+          continue;
+        }
+
+        try {
+          if (!targetPrinter) {
+            throw new Error(`Printer '${job.printerName}' not found`);
+          }
+
+          await this.printReceipt(job.receipt, targetPrinter.name, job.id);
+          logger.info('Queued job printed successfully', {
+            documentId: getDocumentId(job.receipt),
+            printer: targetPrinter.name,
+            jobId: job.id,
+            queuedAt: new Date(job.timestamp).toISOString()
+          });
+        } catch (error) {
+          logger.error('Failed to print queued job:', error);
+          this.jobTracker.update(job.id, { state: 'failed', error: error.message });
+          this.idempotencyStore.forgetJob(job.id);
+          // Continue processing other jobs
+        }
+
+        await this.printQueue.remove(job.id);
       }
+    } catch (error) {
+      logger.error('Print queue processing failed:', error);
+    } finally {
+      this.isProcessingQueue = false;
     }
-
-    this.isProcessingQueue = false;
   }
 
   setupErrorHandling() {
@@ -563,6 +1087,14 @@ class POSPrinterService {
     });
   }
 
+  // Config files from before security.allowedOrigins existed have no security
+  // section, which locks the POS web app out
+  checkAllowedOrigins() {
+    if (this.accessControl.allowedOrigins.length === 0) {
+      logger.warn('No origins in security.allowedOrigins: every browser request (one with an Origin header) gets a 403. Add the POS web app origin to config.json');
+    }
+  }
+
   async start() {
     try {
       console.log('Starting POS Printer Service...');
@@ -577,6 +1109,30 @@ class POSPrinterService {
       await this.printerManager.initialize();
       console.log('Printer manager initialized');
 
+      await this.receiptArchive.load();
+
+      // Replay jobs that were still queued when the service stopped
+      await this.printQueue.load();
+      for (const job of this.printQueue.list()) {
+        this.jobTracker.create({
+          id: job.id,
+          state: 'queued',
+          printer: job.printerName,
+          type: getReceiptType(job.receipt),
+          documentId: getDocumentId(job.receipt),
+          createdAt: new Date(job.timestamp).toISOString()
+        });
+      }
+      if (this.printQueue.length > 0) {
+        console.log(`Replaying ${this.printQueue.length} queued print jobs...`);
+        this.processQueue();
+      }
+
+      if (!this.accessControl.authenticationEnabled) {
+        logger.warn('No API keys in security.apiKeys: printing, drawer and job changes are open to any allowed caller');
+      }
+      this.checkAllowedOrigins();
+
       // Start server
       const port = config.server.port || 8080;
       const host = process.env.HOST || config.server.host || '127.0.0.1';
@@ -595,6 +1151,13 @@ class POSPrinterService {
         console.log('  POST /test-print - Test print');
         console.log('  POST /print - Print receipt');
         console.log('  POST /preview - Preview receipt');
+        console.log('  GET  /jobs/:id - Print job status');
+        console.log('  DELETE /jobs/:id - Cancel print job');
+        console.log('  POST /drawer/open - Open cash drawer');
+        console.log('  GET  /archive - Search printed receipts');
+        console.log('  POST /reprint/:id - Reprint an archived receipt');
+        console.log('  GET  /config - Effective configuration');
+        console.log('  PUT|PATCH /config/receipt - Update receipt branding');
         console.log('====================================');
         
         logger.info(`POS Printer Service started on ${host}:${port}`);
@@ -643,6 +1206,108 @@ class POSPrinterService {
     }, 30000);
   }
 
+  // Validate and save a new config.receipt, then apply it to the formatter.
+  // The change is made to config.json as it is on disk, so edits waiting for a
+  // reload are kept; updates are chained so two quick ones can't overwrite
+  // each other.
+  updateReceiptConfig(changes, replace) {
+    this.configWriteChain = this.configWriteChain
+      .catch(() => {})
+      .then(async () => {
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+          const error = new Error('Request body must be an object with receipt settings');
+          error.statusCode = 400;
+          throw error;
+        }
+
+        const { config: onDisk } = loadConfig(CONFIG_PATH);
+        const receipt = replace ? { ...changes } : { ...onDisk.receipt, ...changes };
+        for (const key of Object.keys(receipt)) {
+          if (receipt[key] === null) {
+            delete receipt[key];
+          }
+        }
+
+        const { warnings } = await saveConfig(CONFIG_PATH, { ...onDisk, receipt });
+        config = { ...config, receipt };
+        this.receiptFormatter.applyConfig(receipt);
+
+        logger.info('Receipt configuration updated', {
+          file: CONFIG_PATH,
+          keys: Object.keys(changes),
+          replaced: replace
+        });
+        return { receipt, warnings };
+      });
+
+    return this.configWriteChain;
+  }
+
+  // Re-read config.json (SIGHUP, `systemctl reload`) and apply receipt
+  // branding, logging level, printers, queue limits, drawer and security
+  // settings in place. Queued jobs are kept. An invalid file is rejected and
+  // the running config stays as it was.
+  async reloadConfig() {
+    let next;
+    let warnings;
+    let accessControl;
+    try {
+      ({ config: next, warnings } = loadConfig(CONFIG_PATH));
+      accessControl = new AccessControl(next.security || {}, logger);
+    } catch (error) {
+      logger.error('Configuration reload rejected, keeping the running configuration', {
+        file: CONFIG_PATH,
+        error: error.message
+      });
+      return false;
+    }
+
+    if (warnings.length > 0) {
+      logger.warn('Configuration warnings', { file: CONFIG_PATH, warnings });
+    }
+
+    const previous = config;
+    config = next;
+
+    logger.level = next.logging.level || 'info';
+    this.receiptFormatter.applyConfig(next.receipt);
+    this.cashDrawer.config = next.drawer || {};
+    this.accessControl = accessControl;
+    this.checkAllowedOrigins();
+    this.printQueue.maxSize = next.printing.maxQueueSize || 10;
+    this.jobTracker.maxJobs = next.printing.jobHistorySize || 500;
+    this.idempotencyStore.windowMs = next.printing.idempotencyWindow || 10 * 60 * 1000;
+
+    if (this.printQueue.length > this.printQueue.maxSize) {
+      logger.warn(`Print queue holds ${this.printQueue.length} jobs, more than maxQueueSize (${this.printQueue.maxSize})`);
+    }
+
+    try {
+      await this.printerManager.updateConfig(next.printing);
+    } catch (error) {
+      logger.error('Failed to apply reloaded printer settings:', error);
+    }
+
+    // Read once at startup; these only change with a restart
+    const restartOnly = {
+      server: [previous.server, next.server],
+      storage: [previous.storage, next.storage],
+      'logging.directory': [previous.logging.directory, next.logging.directory]
+    };
+    const pending = Object.keys(restartOnly)
+      .filter(key => JSON.stringify(restartOnly[key][0]) !== JSON.stringify(restartOnly[key][1]));
+    if (pending.length > 0) {
+      logger.warn('Some changed settings need a restart to take effect', { settings: pending });
+    }
+
+    logger.info('Configuration reloaded', { file: CONFIG_PATH });
+
+    if (this.printQueue.length > 0) {
+      this.processQueue();
+    }
+    return true;
+  }
+
   async stop() {
     console.log('Stopping POS Printer Service...');
     if (this.server) {
@@ -672,6 +1337,15 @@ process.on('SIGINT', async () => {
   process.exit(0);
 });
 
+// Reload config.json (systemd's ExecReload sends SIGHUP)
+process.on('SIGHUP', async () => {
+  console.log('Received SIGHUP, reloading configuration');
+  logger.info('Received SIGHUP, reloading configuration');
+  if (global.printerService) {
+    await global.printerService.reloadConfig();
+  }
+});
+
 // Log unhandled rejections and exceptions
 process.on('unhandledRejection', (reason, promise) => {
   console.error('=== UNHANDLED PROMISE REJECTION ===');
@@ -0,0 +1,52 @@
+const AccessControl = require('../../lib/accessControl');
+
+const logger = { warn: jest.fn() };
+
+function createAccessControl() {
+  return new AccessControl({ allowedOrigins: ['http://localhost:3000'], apiKeys: ['s3cret'] }, logger);
+}
+
+// Minimal Express request/response pair for the middleware
+function run(accessControl, method, path, headers = {}) {
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const req = { method, path, headers: lowerHeaders, ip: '127.0.0.1', get: name => lowerHeaders[name.toLowerCase()] };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    set: jest.fn(),
+    json: jest.fn()
+  };
+  const next = jest.fn();
+  accessControl.handle(req, res, next);
+  return { status: next.mock.calls.length > 0 ? 'next' : res.statusCode };
+}
+
+describe('AccessControl', () => {
+  test.each(['/config', '/config/', '/Config', '/CONFIG//'])('requires a key for GET %s', path => {
+    expect(run(createAccessControl(), 'GET', path).status).toBe(401);
+  });
+
+  test.each(['/print', '/Print/', '/config/receipt', '/Config/Receipt/'])('requires a key for POST/PATCH %s', path => {
+    expect(run(createAccessControl(), 'PATCH', path).status).toBe(401);
+    expect(run(createAccessControl(), 'POST', path).status).toBe(401);
+  });
+
+  test('accepts the key as X-API-Key or a bearer token', () => {
+    const accessControl = createAccessControl();
+    expect(run(accessControl, 'GET', '/config/', { 'X-API-Key': 's3cret' }).status).toBe('next');
+    expect(run(accessControl, 'POST', '/print', { Authorization: 'Bearer s3cret' }).status).toBe('next');
+    expect(run(accessControl, 'POST', '/print', { 'X-API-Key': 'wrong' }).status).toBe(401);
+  });
+
+  test('leaves reads and previews open', () => {
+    const accessControl = createAccessControl();
+    expect(run(accessControl, 'GET', '/status').status).toBe('next');
+    expect(run(accessControl, 'POST', '/Preview/').status).toBe('next');
+  });
+
+  test('rejects origins outside the allowlist', () => {
+    const accessControl = createAccessControl();
+    expect(run(accessControl, 'GET', '/status', { Origin: 'http://evil.example' }).status).toBe(403);
+    expect(run(accessControl, 'GET', '/status', { Origin: 'http://localhost:3000' }).status).toBe('next');
+  });
+});
@@ -0,0 +1,70 @@
+const {
+  CODE_PAGES,
+  checkCodePage,
+  encodeReceipt,
+  encodeText,
+  rawBytes,
+  unwrapRawBytes
+} = require('../../lib/codePages');
+
+const bytesOf = (text, codePage) => [...encodeText(text, codePage)];
+
+describe('encodeText', () => {
+  test.each([
+    ['PC437', [0xA5, 0xA4, 0xA8]],
+    ['PC850', [0xA5, 0xA4, 0xA8]],
+    ['PC858', [0xA5, 0xA4, 0xA8]],
+    ['WPC1252', [0xD1, 0xF1, 0xBF]]
+  ])('%s has Ñ, ñ and ¿', (codePage, expected) => {
+    expect(bytesOf('Ññ¿', codePage)).toEqual(expected);
+  });
+
+  test('encodes the euro sign where the page has it', () => {
+    expect(bytesOf('€', 'PC858')).toEqual([0xD5]);
+    expect(bytesOf('€', 'WPC1252')).toEqual([0x80]);
+    // PC850 has the dotless i in the slot PC858 gives to the euro
+    expect(bytesOf('ı', 'PC850')).toEqual([0xD5]);
+  });
+
+  test('keeps ASCII as it is', () => {
+    expect(encodeText('Total: $12.500', 'PC858').toString('latin1')).toBe('Total: $12.500');
+  });
+
+  test('replaces missing characters with stand-ins, then the bare letter, then ?', () => {
+    expect(encodeText('€', 'PC437').toString('latin1')).toBe('EUR');
+    expect(encodeText('“Sí”', 'PC437')).toEqual(Buffer.from([0x22, 0x53, 0xA1, 0x22]));
+    expect(encodeText('REIMPRESIÓN', 'PC437').toString('latin1')).toBe('REIMPRESION');
+    expect(encodeText('Ó', 'PC850')).toEqual(Buffer.from([0xE0]));
+    expect(encodeText('日本', 'WPC1252').toString('latin1')).toBe('??');
+  });
+
+  test('passes raw bytes through unchanged in every code page', () => {
+    const payload = Buffer.from([0x00, 0x1D, 0x7F, 0x80, 0xA5, 0xD5, 0xFF]);
+
+    for (const codePage of Object.keys(CODE_PAGES)) {
+      expect(encodeText(rawBytes(payload), codePage)).toEqual(payload);
+    }
+    expect(unwrapRawBytes(rawBytes(payload))).toBe(payload.toString('latin1'));
+  });
+
+  test('rejects unknown code pages', () => {
+    expect(() => checkCodePage('PC999')).toThrow(/Unsupported code page 'PC999'/);
+    expect(() => encodeText('x', 'constructor')).toThrow(/Unsupported code page/);
+  });
+});
+
+describe('encodeReceipt', () => {
+  test('selects the code page after every ESC @', () => {
+    const bytes = encodeReceipt('\x1B@Año\n\x1B@€', 'PC858');
+
+    expect([...bytes]).toEqual([
+      0x1B, 0x40, 0x1B, 0x74, 19, 0x41, 0xA4, 0x6F, 0x0A,
+      0x1B, 0x40, 0x1B, 0x74, 19, 0xD5
+    ]);
+  });
+
+  test('selects the code page up front when the receipt does not start with ESC @', () => {
+    expect([...encodeReceipt('Ñ', 'WPC1252')]).toEqual([0x1B, 0x74, 16, 0xD1]);
+    expect([...encodeReceipt('Ñ')]).toEqual([0x1B, 0x74, 0, 0xA5]);
+  });
+});
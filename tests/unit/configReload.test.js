@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Logo conversion is not exercised here
+jest.mock('sharp', () => jest.fn());
+
+const REPO_CONFIG = path.join(__dirname, '..', '..', 'config.json');
+
+let directory;
+let configFile;
+let service;
+
+function writeConfig(change = () => {}) {
+  const config = JSON.parse(fs.readFileSync(REPO_CONFIG, 'utf8'));
+  config.logging = { ...config.logging, level: 'error', directory: path.join(directory, 'logs') };
+  config.storage = { ...config.storage, directory: path.join(directory, 'data') };
+  change(config);
+  fs.writeFileSync(configFile, JSON.stringify(config));
+}
+
+beforeAll(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'config-reload-'));
+  configFile = path.join(directory, 'config.json');
+  writeConfig();
+  process.env.POS_PRINTER_CONFIG = configFile;
+
+  const POSPrinterService = require('../../server');
+  service = new POSPrinterService();
+  // No CUPS here: reloads still hand the printer settings over
+  jest.spyOn(service.printerManager, 'refreshPrinters').mockResolvedValue();
+  global.printerService = service;
+});
+
+afterAll(() => {
+  delete global.printerService;
+  delete process.env.POS_PRINTER_CONFIG;
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('configuration reload', () => {
+  test('SIGHUP applies receipt, printer, queue and security settings', async () => {
+    writeConfig(config => {
+      config.receipt.restaurantName = 'BUÑUELISIMO NORTE';
+      config.printing.maxQueueSize = 3;
+      config.printing.printerAliases = { barra: 'RONGTA_80mm' };
+      config.security.apiKeys = ['s3cret'];
+    });
+    const reload = jest.spyOn(service, 'reloadConfig');
+
+    process.emit('SIGHUP');
+
+    expect(reload).toHaveBeenCalledTimes(1);
+    await expect(reload.mock.results[0].value).resolves.toBe(true);
+    expect(service.receiptFormatter.config.restaurantName).toBe('BUÑUELISIMO NORTE');
+    expect(service.printQueue.maxSize).toBe(3);
+    expect(service.printerManager.config.printerAliases).toEqual({ barra: 'RONGTA_80mm' });
+    expect(service.accessControl.authenticationEnabled).toBe(true);
+    reload.mockRestore();
+  });
+
+  test('keeps the running configuration when the new file is invalid', async () => {
+    writeConfig(config => {
+      config.receipt.restaurantName = 'NOT APPLIED';
+      config.printing.maxQueueSize = 'ten';
+    });
+
+    await expect(service.reloadConfig()).resolves.toBe(false);
+
+    expect(service.receiptFormatter.config.restaurantName).toBe('BUÑUELISIMO NORTE');
+    expect(service.printQueue.maxSize).toBe(3);
+  });
+
+  test('keeps the running configuration when the file is not valid JSON', async () => {
+    fs.writeFileSync(configFile, '{ "receipt": ');
+
+    await expect(service.reloadConfig()).resolves.toBe(false);
+
+    expect(service.receiptFormatter.config.restaurantName).toBe('BUÑUELISIMO NORTE');
+  });
+});
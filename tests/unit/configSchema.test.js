@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateConfig, loadConfig, saveConfig, redactConfig } = require('../../lib/configSchema');
+
+const REPO_CONFIG = path.join(__dirname, '..', '..', 'config.json');
+
+function baseConfig() {
+  return JSON.parse(fs.readFileSync(REPO_CONFIG, 'utf8'));
+}
+
+describe('validateConfig', () => {
+  test('accepts the bundled config.json without warnings', () => {
+    expect(validateConfig(baseConfig())).toEqual({ errors: [], warnings: [] });
+  });
+
+  test('reports wrong types and values with their path', () => {
+    const config = baseConfig();
+    config.printing.maxQueueSize = '10';
+    config.printing.codePage = 'PC999';
+    config.server.port = 70000;
+
+    const { errors } = validateConfig(config);
+
+    expect(errors).toEqual(expect.arrayContaining([
+      'config.printing.maxQueueSize: must be a whole number, got string',
+      expect.stringMatching(/^config\.printing\.codePage: must be one of PC437/),
+      'config.server.port: must be at most 65535'
+    ]));
+  });
+
+  test('warns about unknown keys, also inside settings with several forms', () => {
+    const config = baseConfig();
+    config.printing.maxQueSize = 10;
+    config.receipt.currency = { preset: 'COP', decimal: 2 };
+
+    expect(validateConfig(config)).toEqual({
+      errors: [],
+      warnings: [
+        'config.printing.maxQueSize: unknown setting, ignored',
+        'config.receipt.currency.decimal: unknown setting, ignored'
+      ]
+    });
+  });
+
+  test('matches the barcode module widths the printer accepts', () => {
+    const config = baseConfig();
+    config.receipt.barcode.moduleWidth = 1;
+    expect(validateConfig(config).errors).toEqual(['config.receipt.barcode.moduleWidth: must be at least 2']);
+
+    config.receipt.barcode.moduleWidth = 6;
+    expect(validateConfig(config).errors).toEqual([]);
+  });
+
+  test('checks printer entries', () => {
+    const config = baseConfig();
+    config.printing.printers = [
+      { name: 'rongta-usb', backend: 'device' },
+      { name: 'cocina', backend: 'network' }
+    ];
+    expect(validateConfig(config).errors).toEqual([
+      'config.printing.printers[0]: device printers need a path',
+      'config.printing.printers[1]: network printers need a host'
+    ]);
+
+    config.printing.printers = [
+      { name: 'cocina', backend: 'network', host: '192.168.1.50' },
+      { name: 'cocina', backend: 'network', host: '192.168.1.51' }
+    ];
+    expect(validateConfig(config).errors).toEqual(['config.printing.printers: duplicate printer names: cocina']);
+  });
+
+  test('requires receiptLocation to name a location profile', () => {
+    const config = baseConfig();
+    config.receipt.locations = { norte: { restaurantName: 'NORTE' } };
+    config.printing.printers = [{ name: 'RONGTA_80mm', receiptLocation: 'norte' }];
+    expect(validateConfig(config).errors).toEqual([]);
+
+    config.printing.printers[0].receiptLocation = 'sur';
+    expect(validateConfig(config).errors).toEqual([
+      "config: printer 'RONGTA_80mm' uses receiptLocation 'sur', which is not in receipt.locations"
+    ]);
+  });
+});
+
+describe('loadConfig and saveConfig', () => {
+  let directory;
+  let file;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'config-schema-'));
+    file = path.join(directory, 'config.json');
+    fs.writeFileSync(file, JSON.stringify(baseConfig()));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('loads a valid file', () => {
+    expect(loadConfig(file)).toEqual({ config: baseConfig(), warnings: [] });
+  });
+
+  test('lists every problem of an invalid file', () => {
+    const config = baseConfig();
+    config.logging.maxFiles = 0;
+    delete config.receipt;
+    fs.writeFileSync(file, JSON.stringify(config));
+
+    expect(() => loadConfig(file)).toThrow(/Invalid configuration/);
+    try {
+      loadConfig(file);
+    } catch (error) {
+      expect(error.errors).toEqual(['config.receipt: is required', 'config.logging.maxFiles: must be at least 1']);
+    }
+  });
+
+  test('reports unreadable JSON', () => {
+    fs.writeFileSync(file, '{ "server": ');
+    expect(() => loadConfig(file)).toThrow(/Cannot read configuration/);
+  });
+
+  test('saves through a backup, and refuses invalid configs with a 400', async () => {
+    const config = baseConfig();
+    config.receipt.restaurantName = 'BUÑUELISIMO CENTRO';
+
+    await expect(saveConfig(file, config)).resolves.toEqual({ warnings: [] });
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).receipt.restaurantName).toBe('BUÑUELISIMO CENTRO');
+    expect(JSON.parse(fs.readFileSync(`${file}.bak`, 'utf8'))).toEqual(baseConfig());
+    expect(fs.existsSync(`${file}.tmp`)).toBe(false);
+
+    config.receipt.paperWidth = -1;
+    await expect(saveConfig(file, config)).rejects.toMatchObject({ statusCode: 400 });
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).receipt.paperWidth).toBe(48);
+  });
+});
+
+describe('redactConfig', () => {
+  test('masks API keys in both forms', () => {
+    const config = baseConfig();
+    config.security.apiKeys = ['plain-key', { name: 'caja', key: 'named-key' }];
+
+    const redacted = redactConfig(config);
+
+    expect(redacted.security.apiKeys).toEqual(['********', { name: 'caja', key: '********' }]);
+    expect(config.security.apiKeys[0]).toBe('plain-key');
+    expect(redacted.receipt).toEqual(config.receipt);
+  });
+});
@@ -0,0 +1,68 @@
+const { formatAmount, resolveCurrencyFormat } = require('../../lib/currency');
+
+const format = (amount, setting) => formatAmount(amount, resolveCurrencyFormat(setting));
+
+describe('resolveCurrencyFormat', () => {
+  test('defaults to COP', () => {
+    expect(resolveCurrencyFormat()).toEqual(resolveCurrencyFormat('COP'));
+  });
+
+  test('fills overrides in from the preset, whatever the preset case', () => {
+    expect(resolveCurrencyFormat({ preset: 'usd', symbol: 'US$', symbolSpace: true })).toMatchObject({
+      symbol: 'US$',
+      symbolSpace: true,
+      decimals: 2,
+      thousandsSeparator: ','
+    });
+  });
+
+  test('rejects unknown presets', () => {
+    expect(() => resolveCurrencyFormat('EUR')).toThrow("Unknown currency preset 'EUR'. Use one of: COP, USD");
+    expect(() => resolveCurrencyFormat({ preset: 'constructor' })).toThrow(/Unknown currency preset/);
+  });
+});
+
+describe('formatAmount', () => {
+  test('formats the presets', () => {
+    expect(format(1250000, 'COP')).toBe('$1,250,000');
+    expect(format(1250000.6, 'COP')).toBe('$1,250,001');
+    expect(format(1234.5, 'USD')).toBe('$1,234.50');
+    expect(format(0, 'USD')).toBe('$0.00');
+  });
+
+  test.each([
+    ['minus', '-$2,000'],
+    ['parentheses', '($2,000)'],
+    ['trailing-minus', '$2,000-']
+  ])('prints negative amounts with the %s style', (negativeStyle, expected) => {
+    expect(format(-2000, { preset: 'COP', negativeStyle })).toBe(expected);
+  });
+
+  test('prints amounts that round to zero without a sign', () => {
+    expect(format(-0.4, 'COP')).toBe('$0');
+    expect(format(-0.004, 'USD')).toBe('$0.00');
+    expect(format(-0.004, { preset: 'USD', negativeStyle: 'parentheses' })).toBe('$0.00');
+    expect(format(-0.005001, 'USD')).toBe('-$0.01');
+  });
+
+  test('uses custom separators and symbol placement', () => {
+    const euros = {
+      preset: 'USD',
+      symbol: '€',
+      symbolPosition: 'after',
+      symbolSpace: true,
+      thousandsSeparator: '.',
+      decimalSeparator: ','
+    };
+
+    expect(format(1234567.891, euros)).toBe('1.234.567,89 €');
+    expect(format(-0.5, euros)).toBe('-0,50 €');
+    expect(format(1500, { preset: 'COP', thousandsSeparator: '.', decimals: 2, decimalSeparator: ',' })).toBe('$1.500,00');
+  });
+
+  test('prints values that are not numbers as zero', () => {
+    expect(format(undefined, 'COP')).toBe('$0');
+    expect(format(NaN, 'USD')).toBe('$0.00');
+    expect(format(Infinity, 'COP')).toBe('$0');
+  });
+});
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const DeviceBackend = require('../../lib/backends/deviceBackend');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+let directory;
+let backend;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'device-backend-'));
+});
+
+afterEach(async () => {
+  if (backend) await backend.close();
+  backend = null;
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+function createBackend(devicePath, options = {}) {
+  return new DeviceBackend({ name: 'rongta-usb', path: devicePath, ...options }, logger);
+}
+
+describe('DeviceBackend', () => {
+  test('appends each receipt to the device file', async () => {
+    const devicePath = path.join(directory, 'lp0');
+    fs.writeFileSync(devicePath, '');
+    backend = createBackend(devicePath);
+
+    await backend.write(Buffer.from('\x1B@first\n', 'latin1'));
+    await backend.write(Buffer.from('second\n', 'latin1'));
+
+    expect(fs.readFileSync(devicePath, 'latin1')).toBe('\x1B@first\nsecond\n');
+  });
+
+  test('writes to a FIFO', async () => {
+    const devicePath = path.join(directory, 'lp0.fifo');
+    execFileSync('mkfifo', [devicePath]);
+    backend = createBackend(devicePath);
+
+    const reading = new Promise((resolve, reject) => {
+      const chunks = [];
+      fs.createReadStream(devicePath)
+        .on('data', chunk => chunks.push(chunk))
+        .on('end', () => resolve(Buffer.concat(chunks).toString()))
+        .on('error', reject);
+    });
+    await backend.write(Buffer.from('receipt\n'));
+    await backend.close();
+
+    await expect(reading).resolves.toBe('receipt\n');
+  });
+
+  test('does not create the device when it is missing', async () => {
+    const devicePath = path.join(directory, 'unplugged');
+    backend = createBackend(devicePath);
+
+    await expect(backend.write(Buffer.from('receipt\n'))).rejects.toThrow(/ENOENT/);
+    expect(fs.existsSync(devicePath)).toBe(false);
+    await expect(backend.getStatus()).resolves.toBe('offline');
+  });
+
+  test('reopens the device once when a write fails before sending anything', async () => {
+    const devicePath = path.join(directory, 'lp0');
+    fs.writeFileSync(devicePath, '');
+    backend = createBackend(devicePath);
+    await backend.write(Buffer.from('one\n'));
+
+    // The printer was unplugged and plugged back in: the old handle is dead
+    await backend.handle.close();
+    await backend.write(Buffer.from('two\n'));
+
+    expect(fs.readFileSync(devicePath, 'utf8')).toBe('one\ntwo\n');
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('reopening device'), expect.anything());
+  });
+
+  test('fails without writing again after a write timeout', async () => {
+    const devicePath = path.join(directory, 'lp0.fifo');
+    execFileSync('mkfifo', [devicePath]);
+    // A reader that never reads: the write stalls once the pipe buffer is full
+    const reader = fs.openSync(devicePath, fs.constants.O_RDONLY | fs.constants.O_NONBLOCK);
+    backend = createBackend(devicePath, { writeTimeout: 200 });
+    const writeOnce = jest.spyOn(backend, 'writeOnce');
+
+    try {
+      await expect(backend.write(Buffer.alloc(1024 * 1024, 0x41))).rejects.toThrow(/timed out/);
+      expect(writeOnce).toHaveBeenCalledTimes(1);
+    } finally {
+      fs.closeSync(reader);
+    }
+  });
+
+  test('asks for status through the handle it prints with', async () => {
+    const devicePath = path.join(directory, 'lp0');
+    fs.writeFileSync(devicePath, '');
+    backend = createBackend(devicePath);
+    const open = jest.spyOn(fs.promises, 'open');
+
+    try {
+      await backend.write(Buffer.from('receipt\n'));
+      // A plain file has no status channel
+      await expect(backend.getHardwareStatus()).resolves.toBeNull();
+      await backend.write(Buffer.from('next\n'));
+
+      expect(open).toHaveBeenCalledTimes(1);
+      expect(open).toHaveBeenCalledWith(devicePath, fs.constants.O_RDWR | fs.constants.O_APPEND | fs.constants.O_NONBLOCK);
+    } finally {
+      open.mockRestore();
+    }
+  });
+
+  test('does not resend a receipt that failed midway', async () => {
+    const devicePath = path.join(directory, 'lp0');
+    fs.writeFileSync(devicePath, '');
+    backend = createBackend(devicePath);
+    await backend.write(Buffer.from('one\n'));
+
+    let calls = 0;
+    const realWrite = backend.handle.write.bind(backend.handle);
+    backend.handle.write = (data, offset, length) => {
+      calls += 1;
+      if (calls === 1) return realWrite(data, offset, 3);
+      return Promise.reject(Object.assign(new Error('EIO: i/o error, write'), { code: 'EIO' }));
+    };
+
+    await expect(backend.write(Buffer.from('second\n'))).rejects.toThrow(/EIO/);
+    expect(fs.readFileSync(devicePath, 'utf8')).toBe('one\nsec');
+  });
+});
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Logo conversion is not exercised here
+jest.mock('sharp', () => jest.fn());
+
+const REPO_CONFIG = path.join(__dirname, '..', '..', 'config.json');
+
+const TRANSFER = {
+  type: 'cash_transfer',
+  transferId: 'TRANS-8',
+  date: '2026-10-19T10:00:00Z',
+  senderName: 'Caja 1',
+  receiverName: 'Caja 2',
+  amount: 50000
+};
+
+let directory;
+let service;
+let server;
+let baseUrl;
+let printer;
+
+async function post(pathname, body) {
+  const response = await fetch(`${baseUrl}${pathname}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return response.json();
+}
+
+beforeAll(async () => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+  const config = JSON.parse(fs.readFileSync(REPO_CONFIG, 'utf8'));
+  config.logging = { ...config.logging, level: 'error', directory: path.join(directory, 'logs') };
+  config.storage = { ...config.storage, directory: path.join(directory, 'data') };
+  fs.writeFileSync(path.join(directory, 'config.json'), JSON.stringify(config));
+  process.env.POS_PRINTER_CONFIG = path.join(directory, 'config.json');
+
+  const POSPrinterService = require('../../server');
+  service = new POSPrinterService();
+  await service.printQueue.load();
+
+  // No CUPS here: one printer whose status the tests switch
+  printer = { name: 'RONGTA_80mm', status: 'offline', isDefault: true };
+  jest.spyOn(service.printerManager, 'getAvailablePrinters').mockImplementation(async () => [printer]);
+  jest.spyOn(service.printerManager, 'print').mockResolvedValue({ success: true, backend: 'cups', jobId: '42' });
+
+  server = service.app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  delete process.env.POS_PRINTER_CONFIG;
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  printer.status = 'offline';
+  service.printerManager.print.mockClear();
+  service.idempotencyStore.entries.clear();
+});
+
+describe('duplicate print requests', () => {
+  test('report the current state of the original job', async () => {
+    const queued = await post('/print', { receipt: TRANSFER });
+    expect(queued).toMatchObject({ queued: true, state: 'queued' });
+
+    printer.status = 'online';
+    await service.processQueue();
+
+    const retry = await post('/print', { receipt: TRANSFER });
+    expect(retry).toMatchObject({ duplicate: true, jobId: queued.jobId, state: 'sent', queued: false, success: true, cupsJobId: '42' });
+    expect(service.printerManager.print).toHaveBeenCalledTimes(1);
+  });
+
+  test('print again after the queued job was cancelled', async () => {
+    const queued = await post('/print', { receipt: TRANSFER });
+    const cancel = await fetch(`${baseUrl}/jobs/${queued.jobId}`, { method: 'DELETE' });
+    expect(cancel.status).toBe(200);
+
+    printer.status = 'online';
+    const reissued = await post('/print', { receipt: TRANSFER });
+
+    expect(reissued.duplicate).toBeUndefined();
+    expect(reissued).toMatchObject({ success: true, state: 'sent' });
+    expect(reissued.jobId).not.toBe(queued.jobId);
+    expect(service.printerManager.print).toHaveBeenCalledTimes(1);
+  });
+
+  test('print again after the queued job failed', async () => {
+    const queued = await post('/print', { receipt: TRANSFER });
+
+    printer.status = 'online';
+    service.printerManager.print.mockRejectedValueOnce(new Error('lp: printer jammed'));
+    await service.processQueue();
+    expect(service.jobTracker.get(queued.jobId).state).toBe('failed');
+
+    const reissued = await post('/print', { receipt: TRANSFER });
+
+    expect(reissued.duplicate).toBeUndefined();
+    expect(reissued).toMatchObject({ success: true, state: 'sent' });
+    expect(service.printerManager.print).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,32 @@
+const JobTracker = require('../../lib/jobTracker');
+
+describe('JobTracker history limit', () => {
+  test('keeps at most maxJobs even when no job is ever polled to completion', () => {
+    const tracker = new JobTracker({ maxJobs: 5 }, {});
+    for (let i = 0; i < 50; i++) {
+      const job = tracker.create({ id: `job-${i}` });
+      tracker.update(job.id, { state: 'sent' });
+    }
+
+    expect([...tracker.jobs.keys()]).toEqual(['job-45', 'job-46', 'job-47', 'job-48', 'job-49']);
+  });
+
+  test('drops finished jobs before sent ones', () => {
+    const tracker = new JobTracker({ maxJobs: 3 }, {});
+    tracker.create({ id: 'sent-1', state: 'sent' });
+    tracker.create({ id: 'sent-2', state: 'sent' });
+    tracker.create({ id: 'done', state: 'completed' });
+    tracker.create({ id: 'sent-3', state: 'sent' });
+
+    expect([...tracker.jobs.keys()]).toEqual(['sent-1', 'sent-2', 'sent-3']);
+  });
+
+  test('never drops queued jobs', () => {
+    const tracker = new JobTracker({ maxJobs: 2 }, {});
+    tracker.create({ id: 'queued-1', state: 'queued' });
+    tracker.create({ id: 'sent-1', state: 'sent' });
+    tracker.create({ id: 'queued-2', state: 'queued' });
+
+    expect([...tracker.jobs.keys()]).toEqual(['queued-1', 'queued-2']);
+  });
+});
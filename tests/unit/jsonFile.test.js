@@ -0,0 +1,45 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFile = require('../../lib/jsonFile');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+let directory;
+let file;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-'));
+  file = new JsonFile(path.join(directory, 'print-queue.json'), { name: 'Print queue file', logger });
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('JsonFile', () => {
+  test('reads null before the first write', async () => {
+    await expect(file.read()).resolves.toBeNull();
+  });
+
+  test('keeps the last of several quick writes, without leftovers', async () => {
+    const jobs = [{ id: 'one' }];
+    const first = file.write(jobs);
+    jobs.push({ id: 'two' });
+    await Promise.all([first, file.write(jobs)]);
+
+    await expect(file.read()).resolves.toEqual([{ id: 'one' }, { id: 'two' }]);
+    expect(fs.readdirSync(directory)).toEqual(['print-queue.json']);
+  });
+
+  test('moves an unreadable file aside and starts empty', async () => {
+    fs.writeFileSync(file.filePath, '[{ "id": ');
+
+    await expect(file.read()).resolves.toBeNull();
+
+    const [corrupt] = fs.readdirSync(directory);
+    expect(corrupt).toMatch(/^print-queue\.json\.corrupt-\d+$/);
+    expect(fs.readFileSync(path.join(directory, corrupt), 'utf8')).toBe('[{ "id": ');
+    expect(logger.error).toHaveBeenCalledWith('Print queue file is corrupt, starting empty', expect.objectContaining({ file: expect.stringContaining('corrupt') }));
+  });
+});
@@ -0,0 +1,115 @@
+const net = require('net');
+const NetworkBackend = require('../../lib/backends/networkBackend');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+// Local stand-in for a port 9100 printer, recording what each connection sent
+async function startPrinter(onConnection = () => {}) {
+  const printer = { connections: [], received: () => Buffer.concat(printer.connections.flatMap(c => c.chunks)) };
+  printer.server = net.createServer(socket => {
+    const connection = { socket, chunks: [] };
+    printer.connections.push(connection);
+    socket.on('data', chunk => connection.chunks.push(chunk));
+    socket.on('error', () => {});
+    onConnection(socket, connection);
+  });
+  await new Promise(resolve => printer.server.listen(0, '127.0.0.1', resolve));
+  printer.port = printer.server.address().port;
+  return printer;
+}
+
+function stopPrinter(printer) {
+  for (const { socket } of printer.connections) {
+    socket.destroy();
+  }
+  return new Promise(resolve => printer.server.close(resolve));
+}
+
+function createBackend(port, options = {}) {
+  return new NetworkBackend({ name: 'cocina', host: '127.0.0.1', port, ...options }, logger);
+}
+
+const waitFor = async (condition, timeout = 2000) => {
+  const deadline = Date.now() + timeout;
+  while (!condition() && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('NetworkBackend', () => {
+  let printer;
+  let backend;
+
+  afterEach(async () => {
+    if (backend) backend.close();
+    if (printer) await stopPrinter(printer);
+    backend = null;
+    printer = null;
+  });
+
+  test('sends the receipt bytes over TCP and reuses the connection', async () => {
+    printer = await startPrinter();
+    backend = createBackend(printer.port);
+
+    await backend.write(Buffer.from('\x1B@first\n', 'latin1'));
+    await backend.write(Buffer.from('second\n', 'latin1'));
+    await waitFor(() => printer.received().length === 15);
+
+    expect(printer.received().toString('latin1')).toBe('\x1B@first\nsecond\n');
+    expect(printer.connections).toHaveLength(1);
+  });
+
+  test('reconnects when the printer dropped the connection between jobs', async () => {
+    printer = await startPrinter();
+    backend = createBackend(printer.port);
+
+    await backend.write(Buffer.from('one\n'));
+    await waitFor(() => printer.received().length === 4);
+    printer.connections[0].socket.destroy();
+    await waitFor(() => backend.socket === null);
+
+    await backend.write(Buffer.from('two\n'));
+    await waitFor(() => printer.received().length === 8);
+
+    expect(printer.received().toString()).toBe('one\ntwo\n');
+    expect(printer.connections).toHaveLength(2);
+  });
+
+  test('retries once when the connection could not be made', async () => {
+    printer = await startPrinter();
+    backend = createBackend(printer.port);
+    const connect = backend.connect.bind(backend);
+    jest.spyOn(backend, 'connect')
+      .mockImplementationOnce(() => Promise.reject(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })))
+      .mockImplementation(connect);
+
+    await backend.write(Buffer.from('receipt\n'));
+    await waitFor(() => printer.received().length === 8);
+
+    expect(printer.received().toString()).toBe('receipt\n');
+    expect(backend.connect).toHaveBeenCalledTimes(2);
+  });
+
+  test('fails without resending after a write timeout', async () => {
+    // A printer that stops reading: the write never completes
+    printer = await startPrinter(socket => socket.pause());
+    backend = createBackend(printer.port, { writeTimeout: 200 });
+    const connect = jest.spyOn(backend, 'connect');
+
+    await expect(backend.write(Buffer.alloc(64 * 1024 * 1024, 0x41))).rejects.toThrow(/timed out/);
+
+    expect(connect).toHaveBeenCalledTimes(1);
+    expect(printer.connections).toHaveLength(1);
+  });
+
+  test('rejects when the printer is unreachable', async () => {
+    printer = await startPrinter();
+    const { port } = printer;
+    await stopPrinter(printer);
+    printer = null;
+    backend = createBackend(port, { connectTimeout: 500 });
+
+    await expect(backend.write(Buffer.from('lost\n'))).rejects.toThrow(/ECONNREFUSED/);
+    await expect(backend.getStatus()).resolves.toBe('offline');
+  });
+});
